@@ -10,10 +10,258 @@
  * @updateUrl https://raw.githubusercontent.com/Jupiter-Liar/member-list-mover-for-bd/refs/heads/main/MemberListMover.plugin.js
  */
 
+/**
+ * Pure layout math: measured rects and settings go in, a style plan comes out. Nothing in here reads
+ * or writes the DOM. The plugin applies plans to the root element, and the failsafe diffs the live
+ * root element against a fresh plan.
+ *
+ * A plan is {mode, classes, variables, geometry}: the root classes that switch the stylesheet's rules
+ * on, the custom properties they read, and the geometry the variables were derived from.
+ */
+const LayoutEngine = {
+    COLLAPSED_STRIP_PX: 40, // Height a collapsed list keeps for its header, about one of Discord's list headers
+
+    /**
+     * Clamps a sidebar share of the column against a minimum share and derives the members share.
+     * @param {number} sidebarShare - Requested sidebar share (0-1)
+     * @param {number} minShare - Smallest share either list may get
+     * @returns {{sidebar: number, members: number}} Shares rounded to 3 decimals, summing to 1
+     */
+    clampSplit(sidebarShare, minShare) {
+        let sidebar = Math.max(minShare, Math.min(1 - minShare, sidebarShare));
+        let members = Math.max(minShare, Math.min(1 - minShare, 1 - sidebarShare));
+
+        const sum = sidebar + members;
+        if (Math.abs(sum - 1.0) > 0.001) {
+            const error = sum - 1.0;
+            sidebar -= error / 2;
+            members -= error / 2;
+        }
+
+        return {
+            sidebar: parseFloat(sidebar.toFixed(3)),
+            members: parseFloat(members.toFixed(3))
+        };
+    },
+
+    /**
+     * Clamps the height of the pixel-sized list to its pixel range, then leaves the other list at
+     * least minShare of the column.
+     * @param {number} heightPx - Requested height of the pixel-sized list
+     * @param {number} availableHeight - Column height between the sidebar top and the user section
+     * @param {{minPx: number, maxPx: number, minShare: number}} pixelSizing
+     * @returns {number} Height in px
+     */
+    clampPixelHeight(heightPx, availableHeight, pixelSizing) {
+        const rangeHeight = Math.max(pixelSizing.minPx, Math.min(pixelSizing.maxPx, heightPx));
+        return Math.max(0, Math.min(availableHeight * (1 - pixelSizing.minShare), rangeHeight));
+    },
+
+    /**
+     * Splits the available column height between the two lists, honouring a collapsed list.
+     * A collapsed list shrinks to a strip of COLLAPSED_STRIP_PX, so its top stays visible; the member
+     * list's strip comes on top of our handle and button strip. The split itself is left untouched,
+     * so expanding restores the previous ratio.
+     * With pixel sizing, one list keeps its height in px (its share of the column if it has none yet),
+     * clamped to its pixel range, and the other list takes the remainder.
+     * @param {number} availableHeight - Column height between the sidebar top and the user section
+     * @param {{sidebar: number, members: number}} split - Shares of the column
+     * @param {"sidebar" | "members" | null} collapsedPane
+     * @param {number} uiHeightPx - Height of our handle and button strip
+     * @param {{pane: "sidebar" | "members", heightPx: number | null, minPx: number, maxPx: number, minShare: number} | null} [pixelSizing]
+     * @returns {{sidebarHeight: number, membersHeight: number}} Heights in px
+     */
+    getPanelHeights(availableHeight, split, collapsedPane, uiHeightPx, pixelSizing = null) {
+        if (collapsedPane === "sidebar") {
+            const sidebarHeight = Math.min(this.COLLAPSED_STRIP_PX, availableHeight);
+            return { sidebarHeight, membersHeight: availableHeight - sidebarHeight };
+        }
+        if (collapsedPane === "members") {
+            const membersHeight = Math.min(uiHeightPx + this.COLLAPSED_STRIP_PX, availableHeight);
+            return { sidebarHeight: availableHeight - membersHeight, membersHeight };
+        }
+        if (pixelSizing) {
+            const requestedHeight = pixelSizing.heightPx ?? availableHeight * split[pixelSizing.pane];
+            const pixelHeight = this.clampPixelHeight(requestedHeight, availableHeight, pixelSizing);
+            const remainder = availableHeight - pixelHeight;
+            return pixelSizing.pane === "sidebar"
+                ? { sidebarHeight: pixelHeight, membersHeight: remainder }
+                : { sidebarHeight: remainder, membersHeight: pixelHeight };
+        }
+        return {
+            sidebarHeight: availableHeight * split.sidebar,
+            membersHeight: availableHeight * split.members
+        };
+    },
+
+    /**
+     * Sidebar share for a split handle dragged to pointerY. The channel list runs from the column top
+     * when the members are below it, and up from the user section when they are above.
+     * @param {{columnTop: number, availableHeight: number}} geometry - Geometry of a stacked plan
+     * @param {number} pointerY
+     * @param {"below" | "above"} stackOrder
+     * @returns {number} Unclamped share
+     */
+    getSplitFromPointer(geometry, pointerY, stackOrder) {
+        const sidebarHeight =
+            stackOrder === "above"
+                ? geometry.columnTop + geometry.availableHeight - pointerY
+                : pointerY - geometry.columnTop;
+        return sidebarHeight / geometry.availableHeight;
+    },
+
+    /**
+     * Plans the layout for the given measurements and settings.
+     * @param {{left: number, width: number, top: number, columnLeft: number, columnRight: number, userSectionTop: number, userSectionBottom: number}} measurements
+     *   Rects as they would be without our layout: the channel list's left, width and top, the edges
+     *   of its column, and the user section's top and bottom
+     * @param {Object} settings - isMoved, placementMode, stackOrder, besideSide, split, collapsedPane,
+     *   pixelSizing (see getPanelHeights), membersWidthPx, uiHeightPx, buttonWrapperHeightPx and transition
+     * @returns {Object | null} Null if there is no room for the moved layout
+     */
+    planLayout(measurements, settings) {
+        if (!settings.isMoved) {
+            return { mode: "original", classes: [], variables: {}, geometry: null };
+        }
+        return settings.placementMode === "beside"
+            ? this.planBeside(measurements, settings)
+            : this.planStacked(measurements, settings);
+    },
+
+    /**
+     * Plans the stacked placement: the member list shares the channel list's column.
+     * @param {Object} measurements - See planLayout
+     * @param {Object} settings - See planLayout
+     * @returns {Object | null}
+     */
+    planStacked(measurements, settings) {
+        const columnTop = measurements.top;
+        const availableHeight = measurements.userSectionTop - columnTop;
+        if (availableHeight <= 0) return null;
+
+        const { sidebarHeight, membersHeight } = this.getPanelHeights(
+            availableHeight,
+            settings.split,
+            settings.collapsedPane,
+            settings.uiHeightPx,
+            settings.pixelSizing
+        );
+        const membersAbove = settings.stackOrder === "above";
+        const geometry = {
+            left: measurements.left,
+            width: measurements.width,
+            columnTop,
+            availableHeight,
+            sidebarHeight,
+            membersHeight,
+            // Derived from the target heights rather than rects, which lag behind while animating
+            membersTop: membersAbove ? columnTop : columnTop + sidebarHeight,
+            sidebarMarginTop: membersAbove ? membersHeight : 0 // Room for the member list above
+        };
+
+        return {
+            mode: "stacked",
+            classes: ["bd-mlm-moved", "bd-mlm-stacked", ...(membersAbove ? ["bd-mlm-members-above"] : [])],
+            variables: {
+                "--bd-mlm-members-left": `${geometry.left}px`,
+                "--bd-mlm-members-top": `${geometry.membersTop}px`,
+                "--bd-mlm-members-width": `${geometry.width}px`,
+                "--bd-mlm-members-height": `${membersHeight}px`,
+                "--bd-mlm-content-height": `${Math.max(0, membersHeight - settings.uiHeightPx)}px`,
+                "--bd-mlm-sidebar-height": `${sidebarHeight}px`,
+                "--bd-mlm-sidebar-margin-top": `${geometry.sidebarMarginTop}px`,
+                "--bd-mlm-transition": settings.transition
+            },
+            geometry
+        };
+    },
+
+    /**
+     * Plans the beside placement: the member list docks as a column next to the channel sidebar,
+     * which gets a margin on that side so the chat shifts over.
+     * @param {Object} measurements - See planLayout
+     * @param {Object} settings - See planLayout
+     * @returns {Object | null}
+     */
+    planBeside(measurements, settings) {
+        const height = measurements.userSectionBottom - measurements.top;
+        if (height <= 0) return null;
+
+        // On the left, the member column takes the sidebar's place and the sidebar moves over by its width
+        const geometry = {
+            left: settings.besideSide === "left" ? measurements.columnLeft : measurements.columnRight,
+            top: measurements.top,
+            width: settings.membersWidthPx,
+            height
+        };
+
+        return {
+            mode: "beside",
+            classes: ["bd-mlm-moved", "bd-mlm-beside", `bd-mlm-beside-${settings.besideSide}`],
+            variables: {
+                "--bd-mlm-members-left": `${geometry.left}px`,
+                "--bd-mlm-members-top": `${geometry.top}px`,
+                "--bd-mlm-members-width": `${geometry.width}px`,
+                "--bd-mlm-members-height": `${height}px`,
+                // Only the button wrapper sits above the list in this mode
+                "--bd-mlm-content-height": `${Math.max(0, height - settings.buttonWrapperHeightPx)}px`,
+                "--bd-mlm-transition": "none"
+            },
+            geometry
+        };
+    },
+
+    /**
+     * Compares the live root element against a plan. Only pixel variables are compared; the
+     * transition legitimately lags behind a drag that just ended.
+     * @param {Object} plan
+     * @param {{classes: string[], variables: Object<string, string>}} live - Classes and custom property values of the root element
+     * @param {string[]} knownClasses - Every root class a plan may set
+     * @param {number} tolerancePx
+     * @returns {{property: string, message: string}[]} One entry per deviation: the class or custom
+     *   property that deviated, and a description
+     */
+    diffPlan(plan, live, knownClasses, tolerancePx) {
+        const deviations = [];
+        for (const className of knownClasses) {
+            const expected = plan.classes.includes(className);
+            if (live.classes.includes(className) !== expected) {
+                deviations.push({
+                    property: className,
+                    message: `Root class '${className}' expected ${expected ? "present" : "absent"}`
+                });
+            }
+        }
+        for (const [name, expected] of Object.entries(plan.variables)) {
+            if (!expected.endsWith("px")) continue;
+            const actual = live.variables[name] || "";
+            if (!(Math.abs(parseFloat(actual) - parseFloat(expected)) < tolerancePx)) {
+                deviations.push({
+                    property: name,
+                    message: `${name} expected '${parseFloat(expected).toFixed(3)}px', got '${actual}'`
+                });
+            }
+        }
+        return deviations;
+    }
+};
+
 module.exports = class MoveMembersWrap {
     // Constructor for the plugin class
     constructor() {
+        // The window this instance lays out. BetterDiscord's instance manages Discord's main window and
+        // creates one more instance per secondary window, such as popouts (see syncWindowInstances).
+        this.window = window;
+        this.document = document;
+        this.parentInstance = null; // The main window's instance, on secondary window instances
+        this.windowInstances = new Map(); // Secondary window -> its instance, on the main window's instance
+        this.popoutWindowStore = null; // Discord's store of open popout windows
+        this.onPopoutWindowsChangeHandler = this.syncWindowInstances.bind(this);
+
         this.observer = null; // MutationObserver for observing changes
+        this.observedLayoutNodes = []; // Layout containers the MutationObserver is attached to
+        this.lastMembersWrapParent = null; // Where membersWrap was last seen, to watch for its return
+        this.memberListAbsenceAnchor = null; // Container watched with its subtree while membersWrap is missing
         this.button = null; // The "Move" button element
         this.wrapperDiv = null; // Reference to the button's main wrapper div
         this.resizeHandle = null; // The resize handle element
@@ -22,36 +270,226 @@ module.exports = class MoveMembersWrap {
         this.onResizeHandler = this.handleWindowResize.bind(this); // Bound handler for window resize
         this.animationFrameId = null; // To handle requestAnimationFrame for immediate execution
         this.failsafeIntervalId = null; // ID for the periodic failsafe check
-        this.FAILSALE_INTERVAL_MS = 2000; // How often the failsafe interval runs (2 seconds)
+        this.failsafeEnabled = true; // Safety net behind the observers; they handle all regular changes
+        this.DEFAULT_FAILSAFE_INTERVAL_MS = 30000;
+        this.FAILSALE_INTERVAL_MS = this.DEFAULT_FAILSAFE_INTERVAL_MS; // How often the failsafe interval runs (30 seconds)
+
+        // Loop protection: when something keeps undoing our layout, repairing it harder only feeds the fight.
+        // Each detected fight doubles the failsafe interval and the reapply throttle, up to MAX_BACKOFF_LEVEL.
+        this.deviationCounts = {}; // Property -> {total, streak}: failsafe checks it deviated in, overall and in a row
+        this.FIGHT_LOOP_STREAK = 3; // Checks in a row a property must deviate in to count as a fight
+        this.styleMutationTimes = {}; // Anchor -> recent times the observer saw its inline style rewritten
+        this.STYLE_FIGHT_LIMIT = 30; // Rewrites within the window that count as a fight
+        this.STYLE_FIGHT_WINDOW_MS = 5000; // Doubles with the back-off, like the throttle
+        this.backoffLevel = 0;
+        this.MAX_BACKOFF_LEVEL = 6;
+        this.MIN_BACKOFF_THROTTLE_MS = 100; // Throttle the back-off doubles, if reapplyThrottleDelay is lower
+        this.notifiedFightProperties = new Set(); // Properties the fight notice was shown for this session
+        this.closeFightNotice = null; // Closes the notice on screen
+        this.enforcementSuspended = false; // Set from the notice or settings; lasts until Discord restarts
+
+        // Geometry tracking: the layout is recomputed when one of these elements actually changes size
+        this.resizeObserver = null;
+        this.observedGeometryElements = []; // sidebarList, its column and the user section, while observed
+        this.observedSizes = new WeakMap(); // Last size seen for each observed element
 
         // BdApi specific properties for state persistence
         this.pluginId = "MemberListMover"; // Unique ID for your plugin for BdApi
+        this.configDataKey = "config"; // Key for the versioned object holding all persisted state
+        this.CONFIG_VERSION = 3; // Current schema version of the config object
+        this.config = null; // In-memory copy of the validated config object
+        this.configReadOnly = false; // Set when the saved config comes from a newer build, which is never overwritten
+
+        // Keys used before the versioned config existed. Only read (and then deleted) by the migration step.
         this.dataKey = "isMovedState"; // Key for the boolean state
         this.heightsDataKey = "listHeights"; // Key for saving height percentages
+        this.settingsDataKey = "settings"; // Key for saving the settings panel values
+        this.profilesDataKey = "profiles"; // Key for per-server and per-channel layout profiles
+
+        // Layout profiles: the moved state and split are remembered per server and, optionally, per channel
+        this.perGuildProfiles = true; // Remember the layout separately for each server
+        this.perChannelProfiles = false; // Let individual channels override their server's layout
+        this.currentRouteKey = null; // "guildId/channelId" of the route whose profile is loaded
+        this.currentProfileKey = "global"; // Profile the current layout state was loaded from
+        this.profileIsMoved = false; // isMoved of the loaded profile; automatic mode saves this, not its own state
+
+        // Automatic layout: the member list is moved while the window is narrower than the breakpoint
+        this.autoMoveEnabled = false;
+        this.autoMoveBreakpointPx = 1200; // Window width below which the layout is moved
+        this.autoMoveCompactBreakpointPx = 0; // Optional narrower range with a split of its own; 0 turns it off
+        this.autoMoveSplitPerBreakpoint = false; // Remember the split separately for each width range
+        this.BREAKPOINT_RANGES = ["compact", "narrow", "wide"];
+        this.currentBreakpoint = null; // Range the window was last seen in while automatic mode is on
+        this.autoMoveOverride = null; // isMoved picked with the toggle; kept until another range is entered
 
         // Resize properties
         this.sidebarHeightPercentage = 0.5; // Initial 50% for sidebar list height
         this.membersHeightPercentage = 0.5; // Initial 50% for members list height
-        // Total vertical space the handle occupies in px (8px visual height + 2px top margin + 6px bottom margin = 16px)
-        this.RESIZE_HANDLE_HEIGHT = 16;
-        // Total vertical space the button wrapper occupies (6px height + 2px top margin = 8px)
-        this.BUTTON_WRAPPER_HEIGHT = 8;
-        // Combined fixed height for resize handle + button wrapper that will sit above scrollable content
+        // Appearance of the handles and the toggle button. The heights below are derived from these
+        // settings by updateControlMetrics.
+        this.handleThickness = 4; // Thickness of the handle bars in px; the toggle strip is 2px thicker
+        this.handleStyle = "bar"; // "bar" or "dots" (a short row of grip dots)
+        this.handleHoverFeedback = true; // Highlight a handle while it is hovered
+        this.toggleButtonMode = "hover"; // "hover" reveals the toggle button over its strip, "always" shows it
+        this.toggleButtonIconOnly = false; // An icon instead of the "Move" / "Reset Layout" text
+        this.headerButtonEnabled = false; // A toggle button in the channel header's toolbar
+        this.headerButton = null; // The toolbar button, created on first injection
+        this.headerTooltip = null; // BdApi tooltip of the toolbar button, if the API provides one
+        this.TOGGLE_BUTTON_HEIGHT = 32; // Height of the text toggle button
+        this.TOGGLE_ICON_BUTTON_HEIGHT = 24; // Height of the icon-only toggle button
+        this.RESIZE_HANDLE_HEIGHT = 16; // Total vertical space the handle occupies, margins included
+        this.BUTTON_WRAPPER_HEIGHT = 8; // Total vertical space the button wrapper occupies, top margin included
+        // Combined height for resize handle + button wrapper that will sit above scrollable content
         this.OUR_UI_HEIGHT_PX = this.RESIZE_HANDLE_HEIGHT + this.BUTTON_WRAPPER_HEIGHT;
         this.MIN_HEIGHT_PERCENTAGE = 0.05; // Minimum 5% for either list
+        // Pixel sizing: one list keeps a height in px within a range, the other takes the remainder,
+        // so the pinned list doesn't shrink with the window
+        this.sizingMode = "percent"; // "percent" splits the column by shares, "pixels" pins one list
+        this.pixelSizedPane = "sidebar"; // The list pinned in pixel sizing: "sidebar" or "members"
+        this.pixelMinPx = 200; // Pixel range of the pinned list; equal bounds pin a fixed height
+        this.pixelMaxPx = 400;
+        this.pixelHeightPx = null; // Height of the pinned list, set by dragging; null derives it from the split
+        this.collapsedPane = null; // "sidebar" or "members" while that list is collapsed, otherwise null
+        this.collapseSidebarButton = null; // Chevron on the handle collapsing the channel list
+        this.collapseMembersButton = null; // Chevron on the handle collapsing the member list
+        this.animateTransitions = true; // Animate height changes such as collapsing and presets
+        this.TRANSITION_DURATION_MS = 200; // Duration of those animations
+
+        // Beside placement: the member list docks as its own column next to the channel sidebar
+        this.placementMode = "stacked"; // Moved layout: "stacked" under the channel list, or "beside" it
+        this.besideSide = "right"; // Side of the channel sidebar the member column docks to
+        this.stackOrder = "below"; // Stacked placement: member list "below" or "above" the channel list
+        this.membersWidthPx = 240; // Width of the member column in beside mode
+        this.DEFAULT_MEMBERS_WIDTH_PX = 240; // Width restored by double-clicking the width handle
+        this.MIN_MEMBERS_WIDTH_PX = 120;
+        this.MAX_MEMBERS_WIDTH_PX = 600;
+        this.WIDTH_STEP_PX = 16; // Keyboard step of the width handle
+        this.widthHandle = null; // Vertical resize handle on the member column's edge
+
+        // The moved layout lives in an injected stylesheet whose rules are switched on by classes on the
+        // root element. Measured geometry reaches those rules as CSS custom properties on the same element.
+        this.layoutStyleId = "MemberListMover-layout"; // ID of the injected <style> element
+        this.injectedLayoutCss = null; // Stylesheet text last injected, to re-inject when selectors change
+
+        // Our controls are styled by a second stylesheet built on Discord's theme variables, so they follow
+        // light, dark and AMOLED themes as well as BetterDiscord themes that recolor those variables
+        this.controlsStyleId = "MemberListMover-controls";
+        this.injectedControlsCss = null;
+        this.customAccentColors = false; // Use the colors below instead of the theme's brand and danger colors
+        this.accentColor = "#5865f2"; // Handles and the Move button
+        this.resetAccentColor = "#ed4245"; // The Reset Layout button
+        this.LAYOUT_ROOT_CLASSES = [
+            "bd-mlm-moved",
+            "bd-mlm-stacked",
+            "bd-mlm-members-above",
+            "bd-mlm-beside",
+            "bd-mlm-beside-left",
+            "bd-mlm-beside-right"
+        ];
+        this.LAYOUT_VARIABLES = [
+            "--bd-mlm-members-left",
+            "--bd-mlm-members-top",
+            "--bd-mlm-members-width",
+            "--bd-mlm-members-height",
+            "--bd-mlm-content-height",
+            "--bd-mlm-sidebar-height",
+            "--bd-mlm-sidebar-margin-top",
+            "--bd-mlm-transition"
+        ];
+
+        // Selector registry: every Discord element the plugin anchors to. Candidates are tried in order:
+        // a non-empty override from the settings panel, the exact class read from Discord's webpack class
+        // module (classModule lists the keys that identify the module, classKey the one to read), and
+        // finally the substring fallback selectors.
+        this.selectorRegistry = {
+            membersWrap: {
+                name: "Member list",
+                overrideSetting: "selectorMembersWrap",
+                classModule: ["membersWrap", "members"],
+                classKey: "membersWrap",
+                guildOnly: true, // DMs and the Friends page often render no member list
+                selectors: ['[class*="membersWrap"]', 'div:has(> aside[class*="members"])']
+            },
+            membersListContainer: {
+                name: "Member list content",
+                overrideSetting: "selectorMembersListContainer",
+                classModule: ["membersWrap", "members"],
+                classKey: "members",
+                within: "membersWrap", // Searched inside the member list rather than the whole document
+                guildOnly: true,
+                selectors: ['[class*="members"]', "aside"]
+            },
+            sidebarList: {
+                name: "Channel list",
+                overrideSetting: "selectorSidebarList",
+                classModule: ["sidebarList", "panels"],
+                classKey: "sidebarList",
+                selectors: ['[class*="sidebarList"]', '[class*="sidebar_"] > div:has(> nav)']
+            },
+            userSection: {
+                name: "User panel",
+                overrideSetting: "selectorUserSection",
+                classModule: ["sidebarList", "panels"],
+                classKey: "panels",
+                selectors: ['[class*="sidebarList"] ~ section', 'section[class*="panels"]']
+            },
+            headerToolbar: {
+                name: "Channel header toolbar",
+                overrideSetting: "selectorHeaderToolbar",
+                classModule: ["toolbar", "iconWrapper"],
+                classKey: "toolbar",
+                enabledBy: "headerButtonEnabled", // Only looked for while this setting is on
+                selectors: [
+                    'section[class*="title"] [class*="toolbar"]',
+                    '[class*="toolbar"]:has([class*="iconWrapper"])'
+                ]
+            }
+        };
+        this.classSelectors = {}; // Anchor -> selector built from its webpack class, filled on start
+        this.selectorMembersWrap = ""; // Overrides; empty uses the built-in selectors
+        this.selectorMembersListContainer = "";
+        this.selectorSidebarList = "";
+        this.selectorUserSection = "";
+        this.selectorHeaderToolbar = "";
+        // Discord's member list icon in the header toolbar; the header button is placed after it. Its
+        // aria-label is only known in English; in other languages it is found as the icon before the
+        // search bar, which Discord's class names identify in any language.
+        this.MEMBER_LIST_TOGGLE_SELECTOR = '[aria-label="Show Member List"], [aria-label="Hide Member List"]';
+        this.TOOLBAR_SEARCH_SELECTOR = ':scope > [class*="search"]';
+        this.resolvedSelectors = {}; // Anchor -> selector that found it last, used by the stylesheet
+        this.selectorHealthCheckTimer = null; // Debounces the health check while an override is typed
 
         // Variables for drag functionality
         this.isDragging = false;
-        this.initialMouseY = 0;
+        this.activePointerId = null; // Pointer that started the drag; other pointers are ignored
+        this.dragCaptureTarget = null; // Element holding pointer capture during the drag
+        this.dragAxis = "y"; // "y" resizes the split, "x" resizes the beside column's width
+        this.initialPointerY = 0;
         this.initialSidebarHeightPercentage = 0;
         this.initialMembersHeightPercentage = 0;
 
         // Bound event handlers for clean removal
-        this.onMouseMoveHandler = this.onMouseMove.bind(this);
-        this.onMouseUpHandler = this.onMouseUp.bind(this);
-
-        // Flag to prevent multiple resize listeners being added
-        window.bdResizeListenerAdded = false;
+        this.onPointerMoveHandler = this.onPointerMove.bind(this);
+        this.onPointerUpHandler = this.onPointerUp.bind(this);
+        this.onDragCancelHandler = this.endDrag.bind(this);
+        this.onKeyDownHandler = this.onKeyDown.bind(this);
+
+        // Global hotkeys. Each keybind is a list of key names as recorded by the settings panel.
+        this.hotkeysEnabled = true;
+        this.keybindToggle = ["Control", "Alt", "M"]; // Toggle between moved and original layout
+        this.keybindNudgeUp = ["Control", "Alt", "ArrowUp"]; // Move the split up by one step
+        this.keybindNudgeDown = ["Control", "Alt", "ArrowDown"]; // Move the split down by one step
+        this.keybindPreset25 = ["Control", "Alt", "1"]; // Channels 25% / members 75%
+        this.keybindPreset50 = ["Control", "Alt", "2"]; // Channels 50% / members 50%
+        this.keybindPreset75 = ["Control", "Alt", "3"]; // Channels 75% / members 25%
+        this.keybindReset = ["Control", "Alt", "0"]; // Back to the default split
+        this.NUDGE_STEP_PERCENTAGE = 0.05; // How far one nudge moves the split
+        this.DEFAULT_SIDEBAR_PERCENTAGE = 0.5; // Split restored by the reset hotkey
+        this.PRESET_SIDEBAR_PERCENTAGES = [0.25, 0.5, 0.75]; // Splits offered by the hotkeys and context menu
+        this.doubleClickAction = "default"; // What double-clicking the handle restores: "default" or "savedPreset"
+
+        // Flag to prevent multiple resize listeners being added to this instance's window
+        this.resizeListenerAdded = false;
 
         this.lastLayoutApplyTimestamp = 0; // Last time applyCurrentLayoutState was actually executed
         this.reapplyThrottleDelay = 100; // Minimum 100ms between reapplications (throttle period)
@@ -63,11 +501,71 @@ module.exports = class MoveMembersWrap {
         this.memberListAbsenceTimer = null; // Timer ID for delayed check of member list absence
         this.ABSENCE_CHECK_DELAY_MS = 150; // Delay for checking if member list is truly absent
 
-        // Control constants for logging
-        this.masterLogs = false; // Master switch for all logs
-        this.consoleLogs = false; // Enable/disable regular logs
-        this.consoleWarnings = false; // Enable/disable warnings
-        this.consoleErrors = false; // Enable/disable errors
+        // Logging: warnings, errors and the failsafe, selector and layout events go into a ring buffer for
+        // "Copy diagnostics" next to the counters below; logLevel only decides what is printed to the console
+        this.LOG_LEVELS = ["off", "error", "warn", "info", "debug"]; // Ordered from quietest to most verbose
+        this.logLevel = "off"; // Most verbose level printed to the console
+        this.diagnosticsLog = []; // Recorded events, oldest first; plain info and debug lines never land here
+        this.DIAGNOSTICS_LOG_SIZE = 250; // Recorded events kept before the oldest are dropped
+        this.diagnosticsCounters = {
+            reapplies: 0,
+            failsafeRuns: 0,
+            failsafeDeviations: 0,
+            selectorMisses: 0,
+            fightLoops: 0
+        };
+        this.missingAnchors = new Set(); // Anchors whose last lookup failed, so a miss is only logged once
+        this.lastMeasurements = null; // Rects of the last layout plan, included in the diagnostics
+
+        // User-adjustable settings, keyed by the instance property each one controls.
+        // Numeric entries carry the bounds used to validate loaded and edited values.
+        this.settingsSchema = {
+            MIN_HEIGHT_PERCENTAGE: { type: "number", min: 0.01, max: 0.45 },
+            sizingMode: { type: "choice", options: ["percent", "pixels"] },
+            pixelSizedPane: { type: "choice", options: ["sidebar", "members"] },
+            pixelMinPx: { type: "number", min: 0, max: 4000 },
+            pixelMaxPx: { type: "number", min: 0, max: 4000 },
+            failsafeEnabled: { type: "boolean" },
+            FAILSALE_INTERVAL_MS: { type: "number", min: 1000, max: 300000 },
+            reapplyThrottleDelay: { type: "number", min: 0, max: 2000 },
+            ABSENCE_CHECK_DELAY_MS: { type: "number", min: 0, max: 5000 },
+            logLevel: { type: "choice", options: ["off", "error", "warn", "info", "debug"] },
+            perGuildProfiles: { type: "boolean" },
+            perChannelProfiles: { type: "boolean" },
+            autoMoveEnabled: { type: "boolean" },
+            autoMoveBreakpointPx: { type: "number", min: 480, max: 3840 },
+            autoMoveCompactBreakpointPx: { type: "number", min: 0, max: 3840 },
+            autoMoveSplitPerBreakpoint: { type: "boolean" },
+            hotkeysEnabled: { type: "boolean" },
+            keybindToggle: { type: "keybind" },
+            keybindNudgeUp: { type: "keybind" },
+            keybindNudgeDown: { type: "keybind" },
+            keybindPreset25: { type: "keybind" },
+            keybindPreset50: { type: "keybind" },
+            keybindPreset75: { type: "keybind" },
+            keybindReset: { type: "keybind" },
+            NUDGE_STEP_PERCENTAGE: { type: "number", min: 0.01, max: 0.25 },
+            doubleClickAction: { type: "choice", options: ["default", "savedPreset"] },
+            animateTransitions: { type: "boolean" },
+            handleThickness: { type: "number", min: 2, max: 16 },
+            handleStyle: { type: "choice", options: ["bar", "dots"] },
+            handleHoverFeedback: { type: "boolean" },
+            toggleButtonMode: { type: "choice", options: ["hover", "always"] },
+            toggleButtonIconOnly: { type: "boolean" },
+            headerButtonEnabled: { type: "boolean" },
+            customAccentColors: { type: "boolean" },
+            accentColor: { type: "color" },
+            resetAccentColor: { type: "color" },
+            TRANSITION_DURATION_MS: { type: "number", min: 50, max: 1000 },
+            placementMode: { type: "choice", options: ["stacked", "beside"] },
+            besideSide: { type: "choice", options: ["left", "right"] },
+            stackOrder: { type: "choice", options: ["below", "above"] },
+            selectorMembersWrap: { type: "selector" },
+            selectorMembersListContainer: { type: "selector" },
+            selectorSidebarList: { type: "selector" },
+            selectorUserSection: { type: "selector" },
+            selectorHeaderToolbar: { type: "selector" }
+        };
     }
 
     // Helper to get formatted timestamp
@@ -76,43 +574,1232 @@ module.exports = class MoveMembersWrap {
         return `[${now.toLocaleTimeString()}.${String(now.getMilliseconds()).padStart(3, "0")}]`;
     }
 
-    // Custom logging functions
-    _log(...args) {
-        if (!this.consoleLogs && this.masterLogs) {
-            return;
+    /**
+     * Adds an event to the diagnostics buffer and prints it if logLevel lets its level through.
+     * @param {"error" | "warn" | "info" | "debug"} level
+     * @param {string} category - Part of the plugin the event comes from, e.g. "failsafe" or "selectors"
+     * @param {string} message
+     * @param {*} [data] - Structured details, kept in the buffer as they are
+     */
+    _record(level, category, message, data) {
+        const entry = { time: new Date().toISOString(), level, category, message };
+        if (typeof data !== "undefined") entry.data = data;
+        this.diagnosticsLog.push(entry);
+        if (this.diagnosticsLog.length > this.DIAGNOSTICS_LOG_SIZE) {
+            this.diagnosticsLog.shift();
         }
-        console.log(`${this.getTimestamp()} BetterDiscord:`, ...args);
+
+        if (!this._isLevelPrinted(level)) return;
+        this._print(level, category, message, ...(typeof data !== "undefined" ? [data] : []));
+    }
+
+    /**
+     * Whether logLevel lets a level through to the console.
+     * @param {"error" | "warn" | "info" | "debug"} level
+     * @returns {boolean}
+     */
+    _isLevelPrinted(level) {
+        return this.LOG_LEVELS.indexOf(level) <= this.LOG_LEVELS.indexOf(this.logLevel);
+    }
+
+    /**
+     * Prints to the console with the plugin's prefix, regardless of logLevel.
+     * @param {"error" | "warn" | "info" | "debug"} level
+     * @param {string} category
+     * @param {...*} args
+     */
+    _print(level, category, ...args) {
+        const print = { error: console.error, warn: console.warn, info: console.log, debug: console.debug }[level];
+        print(`${this.getTimestamp()} BetterDiscord: [${category}]`, ...args);
+    }
+
+    /**
+     * Joins console-style arguments into one message for the diagnostics buffer.
+     * @param {Array} args
+     * @returns {string}
+     */
+    _formatLogArgs(args) {
+        return args
+            .map((arg) => {
+                if (typeof arg === "string") return arg;
+                if (arg instanceof Error) return arg.message;
+                try {
+                    return JSON.stringify(arg);
+                } catch (e) {
+                    return String(arg);
+                }
+            })
+            .join(" ");
+    }
+
+    // Custom logging functions, one per level. Routine info and debug lines are only printed; keeping
+    // them in the diagnostics buffer would push the failsafe, selector and layout events out of it.
+    _debug(...args) {
+        if (this._isLevelPrinted("debug")) this._print("debug", "general", ...args);
+    }
+
+    _log(...args) {
+        if (this._isLevelPrinted("info")) this._print("info", "general", ...args);
     }
 
     _warn(...args) {
-        if (!this.consoleWarnings && !this.masterLogs) {
-            return;
-        }
-        console.warn(`${this.getTimestamp()} BetterDiscord:`, ...args);
+        this._record("warn", "general", this._formatLogArgs(args));
     }
 
     _error(...args) {
-        if (!this.consoleErrors && !this.masterLogs) {
+        this._record("error", "general", this._formatLogArgs(args));
+    }
+
+    /**
+     * Validates a single setting value against settingsSchema.
+     * Numbers are clamped to their bounds; values of the wrong type return undefined.
+     * @param {string} key - Instance property name of the setting
+     * @param {*} value
+     * @returns {number | boolean | string | string[] | undefined}
+     */
+    _sanitizeSetting(key, value) {
+        const schema = this.settingsSchema[key];
+        if (!schema) return undefined;
+
+        if (schema.type === "number") {
+            const number = Number(value);
+            if (!Number.isFinite(number)) return undefined;
+            return Math.max(schema.min, Math.min(schema.max, number));
+        }
+        if (schema.type === "boolean") {
+            return typeof value === "boolean" ? value : undefined;
+        }
+        if (schema.type === "keybind") {
+            // An empty list is valid and leaves the action unbound
+            return Array.isArray(value) && value.every((key) => typeof key === "string") ? value.slice() : undefined;
+        }
+        if (schema.type === "choice") {
+            return schema.options.includes(value) ? value : undefined;
+        }
+        if (schema.type === "color") {
+            return typeof value === "string" && /^#[0-9a-f]{6}$/i.test(value) ? value.toLowerCase() : undefined;
+        }
+        if (schema.type === "selector") {
+            if (typeof value !== "string") return undefined;
+            const selector = value.trim();
+            if (!selector) return ""; // No override
+            try {
+                this.document.createDocumentFragment().querySelector(selector);
+            } catch (e) {
+                return undefined; // Not a valid CSS selector
+            }
+            return selector;
+        }
+        return undefined;
+    }
+
+    /**
+     * Validates a saved layout state ({isMoved, sidebar, members, collapsed, width, pixels}).
+     * Only valid fields are kept; the split is re-clamped so both shares sum to 1.
+     * @param {*} state
+     * @returns {Object | null} Null if nothing usable is left
+     */
+    _validateLayoutState(state) {
+        if (!state || typeof state !== "object") return null;
+
+        const validState = {};
+        if (typeof state.isMoved === "boolean") {
+            validState.isMoved = state.isMoved;
+        }
+        if (state.collapsed === null || state.collapsed === "sidebar" || state.collapsed === "members") {
+            validState.collapsed = state.collapsed;
+        }
+        const width = Number(state.width);
+        if (typeof state.width !== "undefined" && Number.isFinite(width)) {
+            validState.width = this.clampMembersWidth(width);
+        }
+        if (typeof state.pixels === "number" && Number.isFinite(state.pixels) && state.pixels >= 0) {
+            validState.pixels = Math.round(state.pixels);
+        }
+        const sidebar = Number(state.sidebar);
+        const members = Number(state.members);
+        if (Number.isFinite(sidebar) && Number.isFinite(members) && sidebar > 0 && members > 0) {
+            // Renormalize first so a drifted pair still keeps its ratio
+            const heights = this.clampHeightPercentages(sidebar / (sidebar + members));
+            validState.sidebar = heights.sidebar;
+            validState.members = heights.members;
+        }
+        return Object.keys(validState).length ? validState : null;
+    }
+
+    /**
+     * Validates a config object against the current schema.
+     * Unknown keys are dropped and invalid values fall back to the constructor defaults.
+     * @param {Object} config - Config already migrated to CONFIG_VERSION
+     * @returns {{version: number, settings: Object, layout: Object, profiles: Object, breakpointSplits: Object, savedPreset: number | null}}
+     */
+    _validateConfig(config) {
+        const validConfig = {
+            version: this.CONFIG_VERSION,
+            settings: {},
+            layout: {
+                isMoved: false,
+                sidebar: 0.5,
+                members: 0.5,
+                collapsed: null,
+                width: this.DEFAULT_MEMBERS_WIDTH_PX,
+                pixels: null
+            },
+            profiles: {},
+            breakpointSplits: {}, // Width range -> {sidebar, members}, used by automatic mode
+            savedPreset: null // Sidebar share saved from the handle's context menu
+        };
+
+        const savedSettings = config.settings && typeof config.settings === "object" ? config.settings : {};
+        for (const key of Object.keys(this.settingsSchema)) {
+            const value = this._sanitizeSetting(key, savedSettings[key]);
+            validConfig.settings[key] = typeof value !== "undefined" ? value : this[key];
+        }
+
+        Object.assign(validConfig.layout, this._validateLayoutState(config.layout));
+
+        const savedProfiles = config.profiles && typeof config.profiles === "object" ? config.profiles : {};
+        for (const [profileKey, profile] of Object.entries(savedProfiles)) {
+            const validProfile = this._validateLayoutState(profile);
+            if (validProfile) {
+                validConfig.profiles[profileKey] = validProfile;
+            } else {
+                this._warn(`Dropping invalid layout profile "${profileKey}".`);
+            }
+        }
+
+        const savedSplits =
+            config.breakpointSplits && typeof config.breakpointSplits === "object" ? config.breakpointSplits : {};
+        for (const range of this.BREAKPOINT_RANGES) {
+            const validState = this._validateLayoutState(savedSplits[range]);
+            if (validState && typeof validState.sidebar !== "undefined") {
+                const { sidebar, members, pixels } = validState;
+                validConfig.breakpointSplits[range] =
+                    typeof pixels === "number" ? { sidebar, members, pixels } : { sidebar, members };
+            }
+        }
+
+        const savedPreset = Number(config.savedPreset);
+        if (config.savedPreset !== null && Number.isFinite(savedPreset) && savedPreset > 0 && savedPreset < 1) {
+            validConfig.savedPreset = this.clampHeightPercentages(savedPreset).sidebar;
+        }
+        return validConfig;
+    }
+
+    /**
+     * Builds a version 1 config from the separate keys used before the versioned config.
+     * Older builds saved the drag heights under dataKey, overwriting the isMoved boolean with
+     * {sidebar, members}. That shape is detected and repaired: the heights are the newest ones
+     * saved, and since dragging is only possible in the moved layout, isMoved was true.
+     * @returns {Object}
+     */
+    _migrateLegacyData() {
+        const legacyState = BdApi.loadData(this.pluginId, this.dataKey);
+        const legacyHeights = BdApi.loadData(this.pluginId, this.heightsDataKey);
+        const legacySettings = BdApi.loadData(this.pluginId, this.settingsDataKey);
+        const legacyProfiles = BdApi.loadData(this.pluginId, this.profilesDataKey);
+
+        const layout = Object.assign({}, this._validateLayoutState(legacyHeights));
+        if (typeof legacyState === "boolean") {
+            layout.isMoved = legacyState;
+        } else if (legacyState && typeof legacyState === "object") {
+            const recoveredHeights = this._validateLayoutState(legacyState);
+            if (recoveredHeights) {
+                Object.assign(layout, recoveredHeights, { isMoved: true });
+                this._warn(`Migration: Recovered heights saved under "${this.dataKey}" and restored isMoved = true.`);
+            } else {
+                this._warn(`Migration: Discarding unreadable value saved under "${this.dataKey}".`);
+            }
+        }
+
+        return {
+            version: 1,
+            settings: legacySettings,
+            layout,
+            profiles: legacyProfiles
+        };
+    }
+
+    /**
+     * Loads the config object, migrating legacy or older data up to CONFIG_VERSION and validating it.
+     * Migrated data is saved straight away and the legacy keys are deleted. A config from a newer build
+     * is only validated into memory and left as it is on disk.
+     */
+    loadConfig() {
+        let config = BdApi.loadData(this.pluginId, this.configDataKey);
+        let migrated = false;
+
+        if (!config || typeof config !== "object" || !Number.isInteger(config.version)) {
+            this._log(`No versioned config found. Migrating legacy data.`);
+            config = this._migrateLegacyData();
+            migrated = true;
+        }
+        if (config.version > this.CONFIG_VERSION) {
+            // Saving would drop the newer build's data, so changes only last until Discord restarts
+            this._warn(
+                `Config version ${config.version} is newer than supported (${this.CONFIG_VERSION}). Changes will not be saved.`
+            );
+            this.configReadOnly = true;
+        }
+        // Schema upgrades, each raising config.version by one
+        if (config.version === 1) {
+            // Version 2: geometry is tracked by a ResizeObserver, so the old 2s failsafe default is raised.
+            // Intervals the user picked themselves are kept.
+            const settings = config.settings && typeof config.settings === "object" ? config.settings : null;
+            if (settings && settings.FAILSALE_INTERVAL_MS === 2000) {
+                settings.FAILSALE_INTERVAL_MS = this.DEFAULT_FAILSAFE_INTERVAL_MS;
+            }
+            config.version = 2;
+            migrated = true;
+        }
+        if (config.version === 2) {
+            // Version 3: the logging switches became one log level. The master switch printed everything.
+            const settings = config.settings && typeof config.settings === "object" ? config.settings : null;
+            if (settings) {
+                if (settings.masterLogs || settings.consoleLogs) settings.logLevel = "info";
+                else if (settings.consoleWarnings) settings.logLevel = "warn";
+                else if (settings.consoleErrors) settings.logLevel = "error";
+                for (const key of ["masterLogs", "consoleLogs", "consoleWarnings", "consoleErrors"]) {
+                    delete settings[key];
+                }
+            }
+            config.version = 3;
+            migrated = true;
+        }
+
+        this.config = this._validateConfig(config);
+
+        if (migrated) {
+            this.saveConfig();
+            for (const legacyKey of [this.dataKey, this.heightsDataKey, this.settingsDataKey, this.profilesDataKey]) {
+                BdApi.deleteData(this.pluginId, legacyKey);
+            }
+            this._log(`Config migrated to version ${this.CONFIG_VERSION}.`);
+        }
+    }
+
+    /** Persists the in-memory config object, unless it was loaded from a newer build **/
+    saveConfig() {
+        if (this.configReadOnly) return;
+        BdApi.saveData(this.pluginId, this.configDataKey, this.config);
+    }
+
+    /** Copies the validated settings from the config onto their instance properties **/
+    loadSettings() {
+        if (!this.config) this.loadConfig();
+        for (const key of Object.keys(this.settingsSchema)) {
+            this[key] = this.config.settings[key];
+        }
+        this.updateControlMetrics();
+        this._log(`Loaded saved settings.`);
+    }
+
+    /**
+     * Derives the space our controls take from the appearance settings. The resize handle is its bar
+     * plus 2px of padding on either side and 8px of margins; the button wrapper is its strip, or the
+     * whole button when it is always visible, plus a 2px top margin.
+     */
+    updateControlMetrics() {
+        const stripHeight =
+            this.toggleButtonMode === "always"
+                ? this.toggleButtonIconOnly
+                    ? this.TOGGLE_ICON_BUTTON_HEIGHT
+                    : this.TOGGLE_BUTTON_HEIGHT
+                : this.handleThickness + 2;
+        this.RESIZE_HANDLE_HEIGHT = this.handleThickness + 4 + 8;
+        this.BUTTON_WRAPPER_HEIGHT = stripHeight + 2;
+        this.OUR_UI_HEIGHT_PX = this.RESIZE_HANDLE_HEIGHT + this.BUTTON_WRAPPER_HEIGHT;
+    }
+
+    /** Persists the current value of every setting in settingsSchema **/
+    saveSettings() {
+        if (!this.config) this.loadConfig();
+        for (const key of Object.keys(this.settingsSchema)) {
+            this.config.settings[key] = this[key];
+        }
+        this.saveConfig();
+    }
+
+    /**
+     * Updates one setting from the settings panel, saves it and applies it without a restart.
+     * @param {string} key - Instance property name of the setting
+     * @param {*} value
+     */
+    updateSetting(key, value) {
+        const sanitizedValue = this._sanitizeSetting(key, value);
+        if (typeof sanitizedValue === "undefined") {
+            this._warn(`Ignoring invalid value for setting ${key}:`, value);
             return;
         }
-        console.error(`${this.getTimestamp()} BetterDiscord:`, ...args);
+
+        this[key] = sanitizedValue;
+        this.saveSettings();
+        this._log(`Setting ${key} updated to ${sanitizedValue}.`);
+
+        for (const instance of [this, ...this.windowInstances.values()]) {
+            instance[key] = sanitizedValue;
+            instance.applySettingChange(key);
+        }
+    }
+
+    /**
+     * Applies a changed setting without a restart.
+     * @param {string} key - Instance property name of the setting
+     */
+    applySettingChange(key) {
+        if ((key === "customAccentColors" || key === "accentColor" || key === "resetAccentColor") && this.observer) {
+            this.ensureControlsStylesheet();
+        }
+        const controlKeys = [
+            "handleThickness",
+            "handleStyle",
+            "handleHoverFeedback",
+            "toggleButtonMode",
+            "toggleButtonIconOnly"
+        ];
+        if (controlKeys.includes(key)) {
+            this.updateControlMetrics();
+            if (this.observer) {
+                this.ensureControlsStylesheet();
+                if (this.button) {
+                    this.updateButtonVisualState(this.button, this.wrapperDiv, this.subContainerDiv, this.isMoved);
+                }
+                this.queueLayoutReapply(); // The lists get the space our controls no longer use, or give it up
+            }
+        }
+        if (key === "headerButtonEnabled" && this.observer) {
+            if (this.headerButtonEnabled) {
+                this.ensureControlsStylesheet();
+                this.ensureHeaderButton();
+            } else {
+                this.removeHeaderButton();
+            }
+            this.attachLayoutObserver(); // Start or stop following the header
+        }
+        if ((key === "FAILSALE_INTERVAL_MS" || key === "failsafeEnabled") && this.observer) {
+            this.startFailsafeInterval(); // Restart with the new period, or stop it
+        }
+        if (key === "placementMode" || key === "besideSide" || key === "stackOrder") {
+            this.endDrag(); // A drag on the old handle would resize the wrong thing
+            this.updateCollapseButtons(); // Chevron directions follow the stack order
+            if (this.observer) {
+                this.queueLayoutReapply();
+            }
+        }
+        if (key === "autoMoveEnabled" && !this.autoMoveEnabled) {
+            // Back to the profile's own state
+            this.isMoved = this.profileIsMoved;
+            this.updateHeaderButtonState();
+        }
+        if (key.startsWith("autoMove")) {
+            // Any change to automatic mode looks the range up again and ends a manual override
+            this.currentBreakpoint = null;
+            this.autoMoveOverride = null;
+            if (this.observer) {
+                this.queueLayoutReapply();
+            }
+        }
+        if (key === "perGuildProfiles" || key === "perChannelProfiles") {
+            // Force the profile for the current route to be resolved again
+            this.currentRouteKey = null;
+            if (this.observer) {
+                this.queueLayoutReapply();
+            }
+        }
+        if (this.settingsSchema[key].type === "selector") {
+            this.resolvedSelectors = {};
+            if (this.observer) {
+                this.attachLayoutObserver(); // The observed containers may be different ones now
+                this.queueLayoutReapply();
+                this.scheduleSelectorHealthCheck();
+            }
+        }
+        if (key === "sizingMode" || key === "pixelSizedPane" || key === "pixelMinPx" || key === "pixelMaxPx") {
+            if (key === "pixelSizedPane") {
+                this.pixelHeightPx = null; // The height belonged to the other list; start from the split
+            }
+            if (this.observer) {
+                this.queueLayoutReapply();
+            }
+        }
+        if (key === "MIN_HEIGHT_PERCENTAGE") {
+            // Re-clamp the current split so it honours the new minimum
+            const heights = this.clampHeightPercentages(this.sidebarHeightPercentage);
+            this.sidebarHeightPercentage = heights.sidebar;
+            this.membersHeightPercentage = heights.members;
+            this.saveLayoutState();
+            if (this.observer) {
+                this.queueLayoutReapply();
+            }
+        }
+    }
+
+    /** Builds the BetterDiscord settings panel for the plugin's layout knobs **/
+    getSettingsPanel() {
+        return BdApi.UI.buildSettingsPanel({
+            settings: [
+                {
+                    type: "category",
+                    id: "layout",
+                    name: "Layout",
+                    collapsible: true,
+                    shown: true,
+                    settings: [
+                        {
+                            type: "slider",
+                            id: "MIN_HEIGHT_PERCENTAGE",
+                            name: "Minimum list height",
+                            note: "Smallest share of the column either list can be dragged down to.",
+                            value: Math.round(this.MIN_HEIGHT_PERCENTAGE * 100),
+                            min: 1,
+                            max: 45,
+                            step: 1,
+                            units: "%",
+                            markers: [1, 5, 10, 20, 30, 45]
+                        },
+                        {
+                            type: "dropdown",
+                            id: "sizingMode",
+                            name: "List sizing",
+                            note: "Pixels keeps one list's height when the window gets shorter; the other list takes the rest.",
+                            value: this.sizingMode,
+                            options: [
+                                { label: "Share of the column", value: "percent" },
+                                { label: "Pixels", value: "pixels" }
+                            ]
+                        },
+                        {
+                            type: "dropdown",
+                            id: "pixelSizedPane",
+                            name: "Pixels: list with a fixed height",
+                            value: this.pixelSizedPane,
+                            options: [
+                                { label: "Channel list", value: "sidebar" },
+                                { label: "Member list", value: "members" }
+                            ]
+                        },
+                        {
+                            type: "number",
+                            id: "pixelMinPx",
+                            name: "Pixels: minimum height (px)",
+                            value: this.pixelMinPx,
+                            min: this.settingsSchema.pixelMinPx.min,
+                            max: this.settingsSchema.pixelMinPx.max,
+                            step: 10
+                        },
+                        {
+                            type: "number",
+                            id: "pixelMaxPx",
+                            name: "Pixels: maximum height (px)",
+                            note: "Set it to the minimum to pin the list to that exact height.",
+                            value: this.pixelMaxPx,
+                            min: this.settingsSchema.pixelMaxPx.min,
+                            max: this.settingsSchema.pixelMaxPx.max,
+                            step: 10
+                        },
+                        {
+                            type: "radio",
+                            id: "placementMode",
+                            name: "Moved placement",
+                            value: this.placementMode,
+                            options: [
+                                {
+                                    name: "Stacked",
+                                    value: "stacked",
+                                    desc: "Member list under the channel list, sharing its column."
+                                },
+                                {
+                                    name: "Beside",
+                                    value: "beside",
+                                    desc: "Member list as its own column next to the channel list."
+                                }
+                            ]
+                        },
+                        {
+                            type: "dropdown",
+                            id: "stackOrder",
+                            name: "Stacked: member list position",
+                            note: "Whether the member list sits under or over the channel list.",
+                            value: this.stackOrder,
+                            options: [
+                                { label: "Below the channel list", value: "below" },
+                                { label: "Above the channel list", value: "above" }
+                            ]
+                        },
+                        {
+                            type: "dropdown",
+                            id: "besideSide",
+                            name: "Beside: column side",
+                            note: "Which side of the channel list the member column docks to.",
+                            value: this.besideSide,
+                            options: [
+                                { label: "Left of the channel list", value: "left" },
+                                { label: "Right of the channel list", value: "right" }
+                            ]
+                        }
+                    ]
+                },
+                {
+                    type: "category",
+                    id: "profiles",
+                    name: "Profiles",
+                    collapsible: true,
+                    shown: false,
+                    settings: [
+                        {
+                            type: "switch",
+                            id: "perGuildProfiles",
+                            name: "Remember layout per server",
+                            note: "Each server keeps its own moved state and list split. Servers without one use the global layout.",
+                            value: this.perGuildProfiles
+                        },
+                        {
+                            type: "switch",
+                            id: "perChannelProfiles",
+                            name: "Per-channel overrides",
+                            note: "Changes made in a channel are remembered for that channel only, overriding its server's layout.",
+                            value: this.perChannelProfiles
+                        }
+                    ]
+                },
+                {
+                    type: "category",
+                    id: "automatic",
+                    name: "Automatic Layout",
+                    collapsible: true,
+                    shown: false,
+                    settings: [
+                        {
+                            type: "switch",
+                            id: "autoMoveEnabled",
+                            name: "Move by window width",
+                            note: "Moves the member list while the window is narrower than the breakpoint and puts it back above. The Move button and hotkey override this until the window crosses a breakpoint.",
+                            value: this.autoMoveEnabled
+                        },
+                        {
+                            type: "number",
+                            id: "autoMoveBreakpointPx",
+                            name: "Breakpoint (px)",
+                            value: this.autoMoveBreakpointPx,
+                            min: this.settingsSchema.autoMoveBreakpointPx.min,
+                            max: this.settingsSchema.autoMoveBreakpointPx.max,
+                            step: 10
+                        },
+                        {
+                            type: "number",
+                            id: "autoMoveCompactBreakpointPx",
+                            name: "Compact breakpoint (px)",
+                            note: "Windows narrower than this form a range of their own, e.g. for a different split. 0 turns it off.",
+                            value: this.autoMoveCompactBreakpointPx,
+                            min: this.settingsSchema.autoMoveCompactBreakpointPx.min,
+                            max: this.settingsSchema.autoMoveCompactBreakpointPx.max,
+                            step: 10
+                        },
+                        {
+                            type: "switch",
+                            id: "autoMoveSplitPerBreakpoint",
+                            name: "Remember the split per width range",
+                            note: "Each range keeps the split last set in it, over the split of the server or channel profile.",
+                            value: this.autoMoveSplitPerBreakpoint
+                        }
+                    ]
+                },
+                {
+                    type: "category",
+                    id: "handle",
+                    name: "Resize handle",
+                    collapsible: true,
+                    shown: false,
+                    settings: [
+                        {
+                            type: "dropdown",
+                            id: "doubleClickAction",
+                            name: "Double-click restores",
+                            note: "Save a preset from the handle's right-click menu.",
+                            value: this.doubleClickAction,
+                            options: [
+                                { label: "Default split (50/50)", value: "default" },
+                                { label: "Last saved preset", value: "savedPreset" }
+                            ]
+                        },
+                        {
+                            type: "slider",
+                            id: "handleThickness",
+                            name: "Handle thickness",
+                            note: "Thickness of the resize handles and the toggle strip. Thicker handles are easier to grab.",
+                            value: this.handleThickness,
+                            min: this.settingsSchema.handleThickness.min,
+                            max: this.settingsSchema.handleThickness.max,
+                            step: 1,
+                            units: "px",
+                            markers: [2, 4, 8, 12, 16]
+                        },
+                        {
+                            type: "radio",
+                            id: "handleStyle",
+                            name: "Handle style",
+                            value: this.handleStyle,
+                            options: [
+                                { name: "Bar", value: "bar", desc: "A bar across the whole handle." },
+                                { name: "Grip dots", value: "dots", desc: "A short row of dots in the middle." }
+                            ]
+                        },
+                        {
+                            type: "switch",
+                            id: "handleHoverFeedback",
+                            name: "Highlight on hover",
+                            note: "Shades a handle and brightens its bar while the pointer is over it.",
+                            value: this.handleHoverFeedback
+                        },
+                        {
+                            type: "switch",
+                            id: "animateTransitions",
+                            name: "Animate height changes",
+                            note: "Collapsing, expanding and presets slide instead of jumping. Off while dragging.",
+                            value: this.animateTransitions
+                        },
+                        {
+                            type: "number",
+                            id: "TRANSITION_DURATION_MS",
+                            name: "Animation duration (ms)",
+                            value: this.TRANSITION_DURATION_MS,
+                            min: this.settingsSchema.TRANSITION_DURATION_MS.min,
+                            max: this.settingsSchema.TRANSITION_DURATION_MS.max,
+                            step: 50
+                        }
+                    ]
+                },
+                {
+                    type: "category",
+                    id: "appearance",
+                    name: "Appearance",
+                    collapsible: true,
+                    shown: false,
+                    settings: [
+                        {
+                            type: "dropdown",
+                            id: "toggleButtonMode",
+                            name: "Toggle button",
+                            note: "The button that moves the member list and resets the layout.",
+                            value: this.toggleButtonMode,
+                            options: [
+                                { label: "Revealed by hovering its strip", value: "hover" },
+                                { label: "Always visible", value: "always" }
+                            ]
+                        },
+                        {
+                            type: "switch",
+                            id: "toggleButtonIconOnly",
+                            name: "Icon-only toggle button",
+                            note: "Shows an icon instead of text; the text appears as a tooltip.",
+                            value: this.toggleButtonIconOnly
+                        },
+                        {
+                            type: "switch",
+                            id: "headerButtonEnabled",
+                            name: "Channel header button",
+                            note: "Adds a toggle next to Discord's member list icon, usable while the member list is hidden. If Discord's icon can't be found, the toggle goes first in the header.",
+                            value: this.headerButtonEnabled
+                        },
+                        {
+                            type: "switch",
+                            id: "customAccentColors",
+                            name: "Custom accent colors",
+                            note: "Off follows your theme's brand and danger colors.",
+                            value: this.customAccentColors
+                        },
+                        {
+                            type: "color",
+                            id: "accentColor",
+                            name: "Accent color",
+                            note: "Handles and the Move button.",
+                            value: this.accentColor,
+                            defaultValue: "#5865f2"
+                        },
+                        {
+                            type: "color",
+                            id: "resetAccentColor",
+                            name: "Reset button color",
+                            note: "The Reset Layout button in the moved layout.",
+                            value: this.resetAccentColor,
+                            defaultValue: "#ed4245"
+                        }
+                    ]
+                },
+                {
+                    type: "category",
+                    id: "hotkeys",
+                    name: "Hotkeys",
+                    collapsible: true,
+                    shown: false,
+                    settings: [
+                        {
+                            type: "switch",
+                            id: "hotkeysEnabled",
+                            name: "Enable hotkeys",
+                            value: this.hotkeysEnabled
+                        },
+                        {
+                            type: "keybind",
+                            id: "keybindToggle",
+                            name: "Toggle layout",
+                            note: "Moves the member list under the channel list, or puts it back.",
+                            value: this.keybindToggle,
+                            clearable: true
+                        },
+                        {
+                            type: "keybind",
+                            id: "keybindNudgeUp",
+                            name: "Move split up",
+                            value: this.keybindNudgeUp,
+                            clearable: true
+                        },
+                        {
+                            type: "keybind",
+                            id: "keybindNudgeDown",
+                            name: "Move split down",
+                            value: this.keybindNudgeDown,
+                            clearable: true
+                        },
+                        {
+                            type: "keybind",
+                            id: "keybindPreset25",
+                            name: "Preset: 25% channels",
+                            value: this.keybindPreset25,
+                            clearable: true
+                        },
+                        {
+                            type: "keybind",
+                            id: "keybindPreset50",
+                            name: "Preset: 50% channels",
+                            value: this.keybindPreset50,
+                            clearable: true
+                        },
+                        {
+                            type: "keybind",
+                            id: "keybindPreset75",
+                            name: "Preset: 75% channels",
+                            value: this.keybindPreset75,
+                            clearable: true
+                        },
+                        {
+                            type: "keybind",
+                            id: "keybindReset",
+                            name: "Reset split",
+                            note: "Restores the 50/50 split.",
+                            value: this.keybindReset,
+                            clearable: true
+                        },
+                        {
+                            type: "slider",
+                            id: "NUDGE_STEP_PERCENTAGE",
+                            name: "Nudge step",
+                            value: Math.round(this.NUDGE_STEP_PERCENTAGE * 100),
+                            min: 1,
+                            max: 25,
+                            step: 1,
+                            units: "%",
+                            markers: [1, 5, 10, 15, 20, 25]
+                        }
+                    ]
+                },
+                {
+                    type: "category",
+                    id: "selectors",
+                    name: "Selectors",
+                    collapsible: true,
+                    shown: false,
+                    settings: Object.values(this.selectorRegistry).map((entry) => ({
+                        type: "text",
+                        id: entry.overrideSetting,
+                        name: `${entry.name} selector`,
+                        note: `Only needed if Discord renamed its classes. Leave empty to use Discord's class names, falling back to: ${entry.selectors.join("  |  ")}`,
+                        value: this[entry.overrideSetting],
+                        placeholder: entry.selectors[0]
+                    }))
+                },
+                {
+                    type: "category",
+                    id: "timing",
+                    name: "Timing",
+                    collapsible: true,
+                    shown: false,
+                    settings: [
+                        {
+                            type: "switch",
+                            id: "failsafeEnabled",
+                            name: "Periodic failsafe",
+                            note: "Occasionally checks the layout and repairs it if Discord overwrote it. Size changes are tracked without it.",
+                            value: this.failsafeEnabled
+                        },
+                        {
+                            type: "number",
+                            id: "FAILSALE_INTERVAL_MS",
+                            name: "Failsafe interval (ms)",
+                            note: "How often the failsafe runs.",
+                            value: this.FAILSALE_INTERVAL_MS,
+                            min: this.settingsSchema.FAILSALE_INTERVAL_MS.min,
+                            max: this.settingsSchema.FAILSALE_INTERVAL_MS.max,
+                            step: 1000
+                        },
+                        {
+                            type: "number",
+                            id: "reapplyThrottleDelay",
+                            name: "Reapply throttle (ms)",
+                            note: "Minimum time between two layout reapplications.",
+                            value: this.reapplyThrottleDelay,
+                            min: this.settingsSchema.reapplyThrottleDelay.min,
+                            max: this.settingsSchema.reapplyThrottleDelay.max,
+                            step: 10
+                        },
+                        {
+                            type: "number",
+                            id: "ABSENCE_CHECK_DELAY_MS",
+                            name: "Member list absence delay (ms)",
+                            note: "How long the member list must be gone before the channel list is released.",
+                            value: this.ABSENCE_CHECK_DELAY_MS,
+                            min: this.settingsSchema.ABSENCE_CHECK_DELAY_MS.min,
+                            max: this.settingsSchema.ABSENCE_CHECK_DELAY_MS.max,
+                            step: 50
+                        },
+                        {
+                            type: "button",
+                            id: "toggleEnforcement",
+                            name: "Layout enforcement",
+                            note: this.enforcementSuspended
+                                ? "Suspended: the failsafe and style watcher leave the layout alone until Discord restarts."
+                                : "Stops the failsafe and style watcher from repairing the layout until Discord restarts. Use it when another plugin or theme keeps fighting over the layout.",
+                            children: this.enforcementSuspended ? "Resume enforcement" : "Suspend for this session",
+                            onClick: () => this.setEnforcementSuspended(!this.enforcementSuspended)
+                        }
+                    ]
+                },
+                {
+                    type: "category",
+                    id: "logging",
+                    name: "Logging",
+                    collapsible: true,
+                    shown: false,
+                    settings: [
+                        {
+                            type: "dropdown",
+                            id: "logLevel",
+                            name: "Console log level",
+                            note: "Most verbose messages printed to the console. Copy diagnostics keeps warnings, errors and layout events regardless.",
+                            value: this.logLevel,
+                            options: [
+                                { label: "Off", value: "off" },
+                                { label: "Errors", value: "error" },
+                                { label: "Warnings", value: "warn" },
+                                { label: "Info", value: "info" },
+                                { label: "Debug", value: "debug" }
+                            ]
+                        },
+                        {
+                            type: "button",
+                            id: "copyDiagnostics",
+                            name: "Diagnostics",
+                            note: "Copies recent events, the current layout and environment details as JSON. Attach them when reporting a broken layout.",
+                            children: "Copy diagnostics",
+                            onClick: () => this.copyDiagnostics()
+                        }
+                    ]
+                }
+            ],
+            onChange: (category, id, value) => {
+                if (!this.settingsSchema[id]) return; // Buttons have no setting behind them
+                // The sliders work in whole percents, the properties are fractions
+                const isPercentSlider = id === "MIN_HEIGHT_PERCENTAGE" || id === "NUDGE_STEP_PERCENTAGE";
+                this.updateSetting(id, isPercentSlider ? value / 100 : value);
+            }
+        });
+    }
+
+    /**
+     * Collects what a bug report needs: the recent events, counters, settings, layout state,
+     * selectors and environment details.
+     * @returns {Object} Plain data, safe to serialize
+     */
+    getDiagnostics() {
+        const root = this.document.documentElement;
+        const settings = {};
+        for (const key of Object.keys(this.settingsSchema)) {
+            settings[key] = this[key];
+        }
+
+        return {
+            generatedAt: new Date().toISOString(),
+            plugin: {
+                version: BdApi.Plugins?.get("Member List Mover")?.version ?? null,
+                configVersion: this.CONFIG_VERSION,
+                running: Boolean(this.observer)
+            },
+            environment: {
+                userAgent: navigator.userAgent,
+                platform: navigator.platform,
+                language: navigator.language,
+                betterDiscordVersion: BdApi.version ?? null,
+                releaseChannel: window.GLOBAL_ENV?.RELEASE_CHANNEL ?? null,
+                viewport: { width: window.innerWidth, height: window.innerHeight },
+                devicePixelRatio: window.devicePixelRatio,
+                resizeObserver: typeof ResizeObserver !== "undefined"
+            },
+            settings,
+            state: {
+                isMoved: this.isMoved,
+                split: { sidebar: this.sidebarHeightPercentage, members: this.membersHeightPercentage },
+                pixelHeightPx: this.pixelHeightPx,
+                collapsedPane: this.collapsedPane,
+                membersWidthPx: this.membersWidthPx,
+                routeKey: this.currentRouteKey,
+                profileKey: this.currentProfileKey,
+                breakpoint: this.currentBreakpoint,
+                autoMoveOverride: this.autoMoveOverride
+            },
+            layout: {
+                rootClasses: this.LAYOUT_ROOT_CLASSES.filter((className) => root.classList.contains(className)),
+                variables: Object.fromEntries(
+                    this.LAYOUT_VARIABLES.map((name) => [name, root.style.getPropertyValue(name).trim()])
+                ),
+                stylesheetInjected: Boolean(this.document.getElementById(this.layoutStyleId)),
+                lastMeasurements: this.lastMeasurements
+            },
+            selectors: {
+                classSelectors: this.classSelectors,
+                resolved: this.resolvedSelectors,
+                missing: [...this.missingAnchors]
+            },
+            secondaryWindows: [...this.windowInstances.values()].map((instance) => ({
+                url: instance.window.location.href,
+                isMoved: instance.isMoved,
+                rootClasses: this.LAYOUT_ROOT_CLASSES.filter((className) =>
+                    instance.document.documentElement.classList.contains(className)
+                )
+            })),
+            counters: this.diagnosticsCounters,
+            loopProtection: {
+                backoffLevel: this.backoffLevel,
+                enforcementSuspended: this.enforcementSuspended,
+                deviationCounts: this.deviationCounts
+            },
+            events: this.diagnosticsLog
+        };
+    }
+
+    /**
+     * Copies getDiagnostics() as JSON to the clipboard and reports the outcome in a toast.
+     * @returns {Promise<void>}
+     */
+    copyDiagnostics() {
+        const json = JSON.stringify(this.getDiagnostics(), null, 2);
+        return Promise.resolve()
+            .then(() =>
+                window.DiscordNative?.clipboard
+                    ? window.DiscordNative.clipboard.copy(json)
+                    : navigator.clipboard.writeText(json)
+            )
+            .then(
+                () => BdApi.UI.showToast(`Member List Mover diagnostics copied to the clipboard.`, { type: "success" }),
+                (e) => {
+                    this._error(`Copying diagnostics failed:`, e);
+                    BdApi.UI.showToast(`Member List Mover could not copy its diagnostics.`, { type: "error" });
+                }
+            );
     }
 
     // This method is called when the plugin is enabled
     start() {
-        this._log(`Member List Mover plugin started.`);
+        this._log(`Member List Mover plugin started${this.parentInstance ? " in a secondary window" : ""}.`);
+
+        // Secondary window instances share the main instance's config
+        if (!this.parentInstance) this.loadConfig();
+        this.loadSettings();
+
+        // Load the global layout state; applyCurrentLayoutState switches to the route's profile
+        this.currentRouteKey = null;
+        this.loadLayoutState("global");
+
+        // Resolve the exact class names, then report anchors that no longer resolve at all,
+        // so a Discord update doesn't break the layout silently. Secondary windows reuse the main
+        // window's classes, and often lack the channel list on purpose.
+        if (!this.parentInstance) {
+            this.resolveClassSelectors();
+            this.runSelectorHealthCheck();
+        }
+
+        // Setup the observers to monitor for DOM and size changes
+        this.setupObserver();
+        this.setupResizeObserver();
+
+        // Call applyCurrentLayoutState directly after loading state and setting up elements
+        // This initial call will directly apply the layout.
+        this.applyCurrentLayoutState();
+
+        // Start the failsafe interval, a rare safety net behind the observers
+        this.startFailsafeInterval();
+
+        // Capture phase, so Discord's own handlers can't swallow our hotkeys first
+        this.window.addEventListener("keydown", this.onKeyDownHandler, true);
+
+        if (!this.parentInstance) this.startWindowTracking();
+    }
+
+    /**
+     * Follows Discord's popout windows, giving each one a layout instance of its own.
+     */
+    startWindowTracking() {
+        try {
+            this.popoutWindowStore = BdApi.Webpack.getStore("PopoutWindowStore");
+        } catch (e) {
+            this._warn(`PopoutWindowStore lookup failed:`, e.message);
+        }
+        if (!this.popoutWindowStore) {
+            this._log(`PopoutWindowStore not found. Only the main window is laid out.`);
+            return;
+        }
+        this.popoutWindowStore.addChangeListener(this.onPopoutWindowsChangeHandler);
+        this.syncWindowInstances();
+    }
+
+    /** Stops following popout windows and stops every secondary window instance **/
+    stopWindowTracking() {
+        if (this.popoutWindowStore) {
+            this.popoutWindowStore.removeChangeListener(this.onPopoutWindowsChangeHandler);
+            this.popoutWindowStore = null;
+        }
+        for (const instance of this.windowInstances.values()) {
+            instance.stop();
+        }
+        this.windowInstances.clear();
+    }
+
+    /**
+     * Secondary Discord windows that are currently open and loaded.
+     * @returns {Window[]}
+     */
+    getSecondaryWindows() {
+        if (!this.popoutWindowStore) return [];
+        return this.popoutWindowStore
+            .getWindowKeys()
+            .map((key) => this.popoutWindowStore.getWindow(key))
+            .filter((targetWindow) => targetWindow && !targetWindow.closed && targetWindow.document?.body);
+    }
+
+    /**
+     * Starts an instance for every newly opened secondary window and stops the instances of closed ones.
+     */
+    syncWindowInstances() {
+        const openWindows = this.getSecondaryWindows();
+
+        for (const [targetWindow, instance] of this.windowInstances) {
+            if (!openWindows.includes(targetWindow)) {
+                instance.stop();
+                this.windowInstances.delete(targetWindow);
+                this._log(`Secondary window closed. Stopped its layout instance.`);
+            }
+        }
+        for (const targetWindow of openWindows) {
+            if (this.windowInstances.has(targetWindow)) continue;
+            const instance = this.createWindowInstance(targetWindow);
+            this.windowInstances.set(targetWindow, instance);
+            instance.start();
+            this._log(`Secondary window opened. Started a layout instance for it.`);
+        }
+    }
+
+    /**
+     * Creates the instance for a secondary window. It has its own elements, observers and listeners,
+     * and shares the config, selectors, diagnostics and enforcement state with this instance.
+     * @param {Window} targetWindow
+     * @returns {MoveMembersWrap}
+     */
+    createWindowInstance(targetWindow) {
+        const instance = new this.constructor();
+        instance.window = targetWindow;
+        instance.document = targetWindow.document;
+        instance.parentInstance = this;
+        instance.config = this.config;
+        instance.configReadOnly = this.configReadOnly;
+        instance.classSelectors = this.classSelectors;
+        instance.diagnosticsLog = this.diagnosticsLog;
+        instance.diagnosticsCounters = this.diagnosticsCounters;
+        instance.notifiedFightProperties = this.notifiedFightProperties;
+        instance.enforcementSuspended = this.enforcementSuspended;
+        return instance;
+    }
+
+    /**
+     * Reads the server and channel IDs from Discord's current route.
+     * @returns {{guildId: string, channelId: string} | null} Null outside of servers: on routes other than
+     *   /channels/ and in direct messages (/channels/@me), which use the global layout
+     */
+    getRouteIds() {
+        const match = this.window.location.pathname.match(/^\/channels\/([^/]+)\/?([^/]*)/);
+        if (!match || match[1] === "@me") return null;
+        return { guildId: match[1], channelId: match[2] || "" };
+    }
+
+    /** Returns the saved guild/channel profiles map from the config **/
+    loadProfiles() {
+        if (!this.config) this.loadConfig();
+        return this.config.profiles;
+    }
+
+    /**
+     * Picks the profile key that applies to the given route.
+     * A channel override wins over its server's profile, which wins over the global layout.
+     * @param {{guildId: string, channelId: string} | null} route
+     * @returns {string} "global", a guild ID, or "guildId/channelId"
+     */
+    resolveProfileKey(route) {
+        if (!route) return "global";
+        const profiles = this.loadProfiles();
+        const channelKey = `${route.guildId}/${route.channelId}`;
+
+        if (this.perChannelProfiles && route.channelId && profiles[channelKey]) {
+            return channelKey;
+        }
+        if (this.perGuildProfiles && profiles[route.guildId]) {
+            return route.guildId;
+        }
+        return "global";
+    }
+
+    /**
+     * Picks the profile key that changes made on the given route are saved to.
+     * @param {{guildId: string, channelId: string} | null} route
+     * @returns {string}
+     */
+    getSaveProfileKey(route) {
+        if (!route) return "global";
+        if (this.perChannelProfiles && route.channelId) {
+            return `${route.guildId}/${route.channelId}`;
+        }
+        if (this.perGuildProfiles) {
+            return route.guildId;
+        }
+        return "global";
+    }
 
-        // Load state using BdApi
-        const savedState = BdApi.loadData(this.pluginId, this.dataKey);
-        if (savedState !== null) {
+    /**
+     * Loads isMoved, the height split, the collapsed pane, the beside width and the pinned list's
+     * pixel height from a profile.
+     * Missing values keep the current state, so a fresh profile inherits the layout in use.
+     * @param {string} profileKey - "global", a guild ID, or "guildId/channelId"
+     */
+    loadLayoutState(profileKey) {
+        const profile = (profileKey === "global" ? this.config.layout : this.loadProfiles()[profileKey]) || {};
+        const savedState = profile.isMoved;
+        const savedHeights = profile;
+
+        if (typeof savedState === "boolean") {
             this.isMoved = savedState;
-            this._log(`Loaded saved state: isMoved = ${this.isMoved}`);
+            this.profileIsMoved = savedState;
+            this._log(`Loaded saved state from profile "${profileKey}": isMoved = ${this.isMoved}`);
         } else {
-            this._log(`No saved state found. Starting with isMoved = false.`);
+            this._log(`No saved state in profile "${profileKey}". Keeping isMoved = ${this.isMoved}.`);
         }
 
-        // Load height percentages
-        const savedHeights = BdApi.loadData(this.pluginId, this.heightsDataKey);
         if (
             savedHeights &&
             typeof savedHeights.sidebar !== "undefined" &&
@@ -124,37 +1811,344 @@ module.exports = class MoveMembersWrap {
                 `Loaded saved heights: Sidebar = ${this.sidebarHeightPercentage.toFixed(3)}%, Members = ${this.membersHeightPercentage.toFixed(3)}%.`
             );
         } else {
-            this._log(`No saved heights found. Using default 50/50.`);
+            this._log(`No saved heights in profile "${profileKey}". Keeping current split.`);
         }
 
-        // Setup the observer to monitor for DOM changes
-        this.setupObserver();
+        if (typeof profile.collapsed !== "undefined") {
+            this.collapsedPane = profile.collapsed;
+        }
+        if (typeof profile.width !== "undefined") {
+            this.membersWidthPx = profile.width;
+        }
+        if (typeof profile.pixels !== "undefined") {
+            this.pixelHeightPx = profile.pixels;
+        }
+        this.currentProfileKey = profileKey;
+    }
 
-        // Call applyCurrentLayoutState directly after loading state and setting up elements
-        // This initial call will directly apply the layout.
-        this.applyCurrentLayoutState();
+    /**
+     * Saves isMoved, the height split, the collapsed pane, the beside width and the pinned list's pixel
+     * height to the profile that matches the current route. In automatic mode the profile keeps its own isMoved, and the split
+     * is also saved for the current width range if splits are remembered per range.
+     */
+    saveLayoutState() {
+        const profileKey = this.getSaveProfileKey(this.getRouteIds());
+        if (!this.autoMoveEnabled) {
+            this.profileIsMoved = this.isMoved;
+        } else if (this.autoMoveSplitPerBreakpoint && this.currentBreakpoint) {
+            this.config.breakpointSplits[this.currentBreakpoint] = {
+                sidebar: this.sidebarHeightPercentage,
+                members: this.membersHeightPercentage,
+                pixels: this.pixelHeightPx
+            };
+        }
+        const state = {
+            isMoved: this.profileIsMoved,
+            sidebar: this.sidebarHeightPercentage,
+            members: this.membersHeightPercentage,
+            collapsed: this.collapsedPane,
+            width: this.membersWidthPx,
+            pixels: this.pixelHeightPx
+        };
+        if (profileKey === "global") {
+            this.config.layout = state;
+        } else {
+            this.loadProfiles()[profileKey] = state;
+        }
+        this.saveConfig();
+        this.currentProfileKey = profileKey;
+    }
+
+    /**
+     * Switches to the profile of the current route when the user has navigated.
+     * Called at the start of every layout application.
+     */
+    syncProfileWithRoute() {
+        const route = this.getRouteIds();
+        const routeKey = route ? `${route.guildId}/${route.channelId}` : "";
+        if (routeKey === this.currentRouteKey) return;
+
+        this.currentRouteKey = routeKey;
+        const profileKey = this.resolveProfileKey(route);
+        this._log(`Route changed to "${routeKey}". Using layout profile "${profileKey}".`);
+        // Start from the global layout so values missing from the profile don't leak in from the last route
+        this.loadLayoutState("global");
+        if (profileKey !== "global") {
+            this.loadLayoutState(profileKey);
+        }
+    }
 
-        // Start the failsafe interval
+    /**
+     * Names the width range a window width falls in. The compact range only exists while its
+     * breakpoint is set below the main one.
+     * @param {number} width - Window width in px
+     * @returns {"compact" | "narrow" | "wide"}
+     */
+    getBreakpoint(width) {
+        if (width >= this.autoMoveBreakpointPx) return "wide";
+        const compactBreakpoint = this.autoMoveCompactBreakpointPx;
+        const hasCompactRange = compactBreakpoint > 0 && compactBreakpoint < this.autoMoveBreakpointPx;
+        return hasCompactRange && width < compactBreakpoint ? "compact" : "narrow";
+    }
+
+    /**
+     * Automatic mode: moves the layout below the breakpoint and restores it above. Entering another
+     * width range ends a manual override; if splits are remembered per range, that range's split is used.
+     * Called on window resize and at the start of every layout application, after the route's
+     * profile (and with it isMoved) may have been reloaded.
+     * @returns {boolean} Whether isMoved changed
+     */
+    syncBreakpoint() {
+        if (!this.autoMoveEnabled) return false;
+
+        const breakpoint = this.getBreakpoint(this.window.innerWidth);
+        if (breakpoint !== this.currentBreakpoint) {
+            this._log(`Automatic layout: window is ${this.window.innerWidth}px wide, in the "${breakpoint}" range.`);
+            this.currentBreakpoint = breakpoint;
+            this.autoMoveOverride = null;
+        }
+        const split = this.autoMoveSplitPerBreakpoint ? this.config.breakpointSplits[breakpoint] : null;
+        if (split) {
+            this.sidebarHeightPercentage = split.sidebar;
+            this.membersHeightPercentage = split.members;
+            this.pixelHeightPx = split.pixels ?? this.pixelHeightPx;
+        }
+
+        const wasMoved = this.isMoved;
+        this.isMoved = this.autoMoveOverride ?? breakpoint !== "wide";
+        return this.isMoved !== wasMoved;
+    }
+
+    /** (Re)starts the periodic failsafe check using the current FAILSALE_INTERVAL_MS, or stops it if disabled **/
+    startFailsafeInterval() {
+        if (this.failsafeIntervalId) {
+            clearInterval(this.failsafeIntervalId);
+            this.failsafeIntervalId = null;
+        }
+        if (!this.failsafeEnabled) {
+            this._log(`Failsafe interval disabled.`);
+            return;
+        }
+        const interval = this.FAILSALE_INTERVAL_MS * 2 ** this.backoffLevel;
         this.failsafeIntervalId = setInterval(() => {
             this.checkAndReapplyLayout();
-        }, this.FAILSALE_INTERVAL_MS);
-        this._log(`Failsafe interval started (every ${this.FAILSALE_INTERVAL_MS}ms).`);
+        }, interval);
+        this._log(`Failsafe interval started (every ${interval}ms).`);
+    }
+
+    /**
+     * Sets the loop protection's back-off level and restarts the failsafe with the matching interval.
+     * @param {number} level - 0 runs at the configured timings; each level doubles them
+     */
+    setBackoffLevel(level) {
+        if (level === this.backoffLevel) return;
+        this.backoffLevel = level;
+        this.styleMutationTimes = {};
+        if (this.failsafeIntervalId) {
+            this.startFailsafeInterval();
+        }
+    }
+
+    /**
+     * Minimum time between two reapplications, doubled for each back-off level.
+     * @returns {number} Milliseconds
+     */
+    getReapplyThrottleDelay() {
+        if (!this.backoffLevel) return this.reapplyThrottleDelay;
+        return Math.max(this.reapplyThrottleDelay, this.MIN_BACKOFF_THROTTLE_MS) * 2 ** this.backoffLevel;
+    }
+
+    /**
+     * Called when our repairs of a property keep getting undone. Backs off one more level and tells
+     * the user once per property, offering to suspend enforcement.
+     * @param {string} property - What keeps deviating, as named in the notice
+     * @param {Object} counts - How often it deviated, kept in the diagnostics event
+     */
+    handleFightLoop(property, counts) {
+        this.diagnosticsCounters.fightLoops++;
+        const level = Math.min(this.backoffLevel + 1, this.MAX_BACKOFF_LEVEL);
+        this._record("warn", "loop", `Something keeps overriding ${property}. Backing off to level ${level}.`, {
+            property,
+            level,
+            counts
+        });
+        this.setBackoffLevel(level);
+
+        if (this.notifiedFightProperties.has(property)) return;
+        this.notifiedFightProperties.add(property);
+        if (this.closeFightNotice) this.closeFightNotice();
+        this.closeFightNotice = BdApi.UI.showNotice(
+            `Member List Mover: something keeps overriding ${property}, probably another plugin or theme. The layout is now repaired less often.`,
+            {
+                type: "warning",
+                buttons: [
+                    {
+                        label: "Suspend for this session",
+                        onClick: (closeNotice) => {
+                            closeNotice();
+                            this.setEnforcementSuspended(true);
+                        }
+                    }
+                ]
+            }
+        );
+    }
+
+    /**
+     * Records an inline style rewrite of an anchor seen by the observer, and detects a fight when they
+     * keep coming faster than STYLE_FIGHT_LIMIT per window.
+     * @param {string} anchor - Key of selectorRegistry
+     * @returns {boolean} Whether the rewrite should be answered with a reapplication
+     */
+    noteStyleMutation(anchor) {
+        if (this.enforcementSuspended) return false;
+
+        const now = Date.now();
+        const windowMs = this.STYLE_FIGHT_WINDOW_MS * 2 ** this.backoffLevel;
+        const times = (this.styleMutationTimes[anchor] || []).filter((time) => now - time < windowMs);
+        times.push(now);
+        this.styleMutationTimes[anchor] = times;
+
+        if (times.length >= this.STYLE_FIGHT_LIMIT) {
+            // A new window starts either way; setBackoffLevel doesn't clear it once the level is at its maximum
+            this.styleMutationTimes[anchor] = [];
+            this.handleFightLoop(`the ${this.selectorRegistry[anchor].name.toLowerCase()}'s inline style`, {
+                rewrites: times.length,
+                windowMs
+            });
+        }
+        return true;
+    }
+
+    /**
+     * Suspends or resumes enforcement for the rest of the session: while suspended, neither the
+     * failsafe nor inline style rewrites trigger repairs. Resuming starts over from a clean slate.
+     * @param {boolean} suspended
+     */
+    setEnforcementSuspended(suspended) {
+        if (this.parentInstance) {
+            this.parentInstance.setEnforcementSuspended(suspended); // Suspension covers every window
+            return;
+        }
+        this._record("info", "loop", suspended ? `Enforcement suspended for this session.` : `Enforcement resumed.`);
+        BdApi.UI.showToast(
+            suspended
+                ? "Member List Mover stopped repairing its layout until Discord restarts."
+                : "Member List Mover is repairing its layout again.",
+            { type: "info" }
+        );
+
+        for (const instance of [this, ...this.windowInstances.values()]) {
+            instance.enforcementSuspended = suspended;
+            if (instance.closeFightNotice) {
+                instance.closeFightNotice();
+                instance.closeFightNotice = null;
+            }
+            if (!suspended) {
+                instance.deviationCounts = {};
+                instance.setBackoffLevel(0);
+                if (instance.observer) {
+                    instance.queueLayoutReapply();
+                }
+            }
+        }
+    }
+
+    /**
+     * Creates the ResizeObserver that recomputes the layout when the elements it is measured from
+     * change size. observeGeometryElements attaches it once applyCurrentLayoutState has found them.
+     */
+    setupResizeObserver() {
+        if (this.resizeObserver) {
+            this.resizeObserver.disconnect();
+        }
+        this.observedGeometryElements = [];
+        this.observedSizes = new WeakMap();
+        if (typeof this.window.ResizeObserver === "undefined") {
+            this.resizeObserver = null;
+            this._warn(`ResizeObserver unavailable. Relying on the window resize listener and the failsafe.`);
+            return;
+        }
+        this.resizeObserver = new this.window.ResizeObserver((entries) => this.onGeometryResize(entries));
+        this._log(`ResizeObserver created.`);
+    }
+
+    /**
+     * Points the ResizeObserver at the channel list, its column and the user section below it,
+     * re-attaching when Discord has replaced any of them. The column is included because it resizes
+     * with the window while the stacked layout holds the channel list's height fixed.
+     * @param {HTMLElement} sidebarList
+     * @param {HTMLElement} userIDSection
+     */
+    observeGeometryElements(sidebarList, userIDSection) {
+        if (!this.resizeObserver) return;
+        const elements = [sidebarList, sidebarList.parentElement, userIDSection].filter(Boolean);
+        const isSameSet =
+            elements.length === this.observedGeometryElements.length &&
+            elements.every((element, index) => element === this.observedGeometryElements[index]);
+        if (isSameSet) return;
+
+        this.resizeObserver.disconnect();
+        for (const element of elements) {
+            this.resizeObserver.observe(element);
+        }
+        this.observedGeometryElements = elements;
+        this._log(`ResizeObserver attached to ${elements.length} layout elements.`);
+    }
+
+    /**
+     * ResizeObserver callback. Queues a reapply only for real size changes in the moved layout; the
+     * first report for an element just records its size. The channel list's height is ignored while
+     * the stacked layout sets it, since that change is our own output.
+     * @param {ResizeObserverEntry[]} entries
+     */
+    onGeometryResize(entries) {
+        const sidebarList = this.observedGeometryElements[0];
+        const ownsSidebarHeight = this.document.documentElement.classList.contains("bd-mlm-stacked");
+        let sizeChanged = false;
+
+        for (const entry of entries) {
+            const { width, height } = entry.contentRect;
+            const previousSize = this.observedSizes.get(entry.target);
+            this.observedSizes.set(entry.target, { width, height });
+            if (!previousSize) continue;
+
+            const heightMatters = !(entry.target === sidebarList && ownsSidebarHeight);
+            if (previousSize.width !== width || (heightMatters && previousSize.height !== height)) {
+                sizeChanged = true;
+            }
+        }
+
+        if (sizeChanged && this.isMoved) {
+            this._log(`ResizeObserver: Layout element size changed. Queueing throttled re-application.`);
+            this.queueLayoutReapply();
+        }
     }
 
     // This method is called when the plugin is disabled
     stop() {
-        this._log(`Member List Mover plugin stopped.`);
+        this._log(`Member List Mover plugin stopped${this.parentInstance ? " in a secondary window" : ""}.`);
+        this.stopWindowTracking();
         try {
             // Disconnect the observer
             if (this.observer) {
                 this.observer.disconnect();
                 this.observer = null;
+                this.observedLayoutNodes = [];
+                this.lastMembersWrapParent = null;
+                this.memberListAbsenceAnchor = null;
                 this._log(`MutationObserver disconnected during stop.`);
             }
+            if (this.resizeObserver) {
+                this.resizeObserver.disconnect();
+                this.resizeObserver = null;
+                this.observedGeometryElements = [];
+                this._log(`ResizeObserver disconnected during stop.`);
+            }
 
             // Clear any pending animation frame or throttle timeout
             if (this.animationFrameId) {
-                cancelAnimationFrame(this.animationFrameId);
+                this.window.cancelAnimationFrame(this.animationFrameId);
                 this.animationFrameId = null;
             }
             if (this.reapplyTimeout) {
@@ -167,6 +2161,12 @@ module.exports = class MoveMembersWrap {
                 this.failsafeIntervalId = null;
                 this._log(`Failsafe interval stopped.`);
             }
+            clearTimeout(this.selectorHealthCheckTimer);
+            this.selectorHealthCheckTimer = null;
+            if (this.closeFightNotice) {
+                this.closeFightNotice();
+                this.closeFightNotice = null;
+            }
             // Clear any pending member list absence timer
             if (this.memberListAbsenceTimer) {
                 clearTimeout(this.memberListAbsenceTimer);
@@ -177,10 +2177,14 @@ module.exports = class MoveMembersWrap {
             this._error(`Error disconnecting/stopping during stop:`, e.message, e.stack);
         }
 
+        // End any drag in progress before its handle is removed
+        this.endDrag();
+
         // Remove the button and its wrappers if they exist for a clean shutdown
-        const membersWrap = document.querySelector('[class*="membersWrap"]');
+        const membersWrap = this.findAnchor("membersWrap");
         const wrapperDiv = membersWrap ? membersWrap.querySelector("#bd-move-button-wrapper") : null;
         const resizeHandle = membersWrap ? membersWrap.querySelector("#bd-resize-handle") : null;
+        const widthHandle = membersWrap ? membersWrap.querySelector("#bd-width-handle") : null;
 
         if (wrapperDiv && wrapperDiv.parentNode) {
             wrapperDiv.parentNode.removeChild(wrapperDiv);
@@ -194,53 +2198,531 @@ module.exports = class MoveMembersWrap {
             this.handleIndicator = null;
             this._log(`Resize handle removed during stop.`);
         }
+        if (widthHandle && widthHandle.parentNode) {
+            widthHandle.parentNode.removeChild(widthHandle);
+            this.widthHandle = null;
+            this._log(`Width handle removed during stop.`);
+        }
+        this.removeHeaderButton();
 
         // Remove the resize event listener
-        window.removeEventListener("resize", this.onResizeHandler);
-        window.bdResizeListenerAdded = false;
-        // Also remove global mouse listeners for drag if they were active
-        window.removeEventListener("mousemove", this.onMouseMoveHandler);
-        window.removeEventListener("mouseup", this.onMouseUpHandler);
-        this._log(`Resize and drag event listeners removed.`);
+        this.window.removeEventListener("resize", this.onResizeHandler);
+        this.resizeListenerAdded = false;
+        this.window.removeEventListener("keydown", this.onKeyDownHandler, true);
+        this._log(`Resize, drag and hotkey event listeners removed.`);
 
         this.applyOriginalLayoutStyles(); // Ensure Discord elements are reset
+        this.removeStyle(this.layoutStyleId);
+        this.injectedLayoutCss = null;
+        this.removeStyle(this.controlsStyleId);
+        this.injectedControlsCss = null;
+        this._log(`Layout and controls stylesheets removed.`);
     }
 
     /**
-     * Resets the applied CSS styles to the membersWrap, sidebarList, and membersListContainer elements.
-     * This is called when the plugin is stopped or if the layout needs to revert.
-     * It ensures Discord can regain full control over these elements.
+     * Looks up Discord's webpack class modules and builds an exact class selector for every anchor
+     * whose module is found. Anchors without one keep using their substring fallbacks.
      */
-    applyOriginalLayoutStyles() {
-        const membersWrap = document.querySelector('[class*="membersWrap"]');
-        const sidebarList = document.querySelector('[class*="sidebarList"]');
-        const membersListContainer = document.querySelector("#bd-members-list-container"); // Discord's content container
+    resolveClassSelectors() {
+        this.classSelectors = {};
+        const modules = new Map(); // Anchors often share a module; look each one up once
+
+        for (const [anchor, entry] of Object.entries(this.selectorRegistry)) {
+            const moduleKey = entry.classModule.join();
+            if (!modules.has(moduleKey)) {
+                let classModule = null;
+                try {
+                    classModule = BdApi.Webpack.getModule(BdApi.Webpack.Filters.byKeys(...entry.classModule));
+                } catch (e) {
+                    this._warn(`Class module lookup for [${moduleKey}] failed:`, e.message);
+                }
+                modules.set(moduleKey, classModule);
+            }
 
-        // Use removeProperty to ensure clean removal of specific inline styles
-        if (membersWrap) {
-            membersWrap.style.removeProperty("position");
-            membersWrap.style.removeProperty("width");
-            membersWrap.style.removeProperty("height");
-            membersWrap.style.removeProperty("left");
-            membersWrap.style.removeProperty("top");
-            membersWrap.style.removeProperty("transform");
-            membersWrap.style.removeProperty("min-width");
-            membersWrap.style.removeProperty("flex-direction");
-            membersWrap.style.removeProperty("display");
-            membersWrap.style.removeProperty("z-index"); // Ensure z-index is removed for membersWrap
-            this._log(`MembersWrap layout styles reset (flex-direction and display now removed, z-index cleared).`);
+            // Class values can hold several classes; the first is the element's own hashed class
+            const className = modules.get(moduleKey)?.[entry.classKey];
+            const ownClass = typeof className === "string" ? className.trim().split(/\s+/)[0] : "";
+            if (/^[\w-]+$/.test(ownClass)) {
+                this.classSelectors[anchor] = `.${ownClass}`;
+            } else {
+                this._log(`No webpack class found for ${entry.name}. Using substring selectors.`);
+            }
         }
-        if (sidebarList) {
-            this._resetSidebarListStyles(); // Use the new helper for sidebar list
-            this._log(`SidebarList styles reset via applyOriginalLayoutStyles.`);
+        this.resolvedSelectors = {};
+    }
+
+    /**
+     * Candidate selectors for an anchor of selectorRegistry: the user's override, the webpack class
+     * selector, then the substring fallbacks.
+     * @param {string} anchor - Key of selectorRegistry
+     * @returns {string[]}
+     */
+    getAnchorSelectors(anchor) {
+        const entry = this.selectorRegistry[anchor];
+        const candidates = [this[entry.overrideSetting], this.classSelectors[anchor], ...entry.selectors];
+        return candidates.filter(Boolean);
+    }
+
+    /**
+     * Finds an anchor element, trying its candidate selectors in order.
+     * @param {string} anchor - Key of selectorRegistry
+     * @param {Document | Element} [root=document] - Where to search; anchors with `within` take their container
+     * @returns {HTMLElement | null}
+     */
+    findAnchor(anchor, root = this.document) {
+        for (const selector of this.getAnchorSelectors(anchor)) {
+            let element = null;
+            try {
+                element = root.querySelector(selector);
+            } catch (e) {
+                continue; // A fallback using syntax this engine doesn't support
+            }
+            if (element) {
+                this.resolvedSelectors[anchor] = selector;
+                this.missingAnchors.delete(anchor);
+                return element;
+            }
         }
-        if (membersListContainer) {
-            // Reset Discord's content container height
-            membersListContainer.style.removeProperty("height");
-            membersListContainer.style.removeProperty("width");
-            membersListContainer.style.removeProperty("overflow-y");
-            this._log(`MembersListContainer styles reset.`);
+
+        // Searches inside a container are expected to miss; only document-wide lookups count
+        if (root !== this.document) return null;
+        this.diagnosticsCounters.selectorMisses++;
+        if (!this.missingAnchors.has(anchor)) {
+            this.missingAnchors.add(anchor);
+            this._record("info", "selectors", `${this.selectorRegistry[anchor].name} not found.`, {
+                anchor,
+                candidates: this.getAnchorSelectors(anchor)
+            });
+        }
+        return null;
+    }
+
+    /**
+     * Whether an element matches any candidate selector of an anchor.
+     * @param {Element} element
+     * @param {string} anchor - Key of selectorRegistry
+     * @returns {boolean}
+     */
+    matchesAnchor(element, anchor) {
+        return this.getAnchorSelectors(anchor).some((selector) => {
+            try {
+                return element.matches(selector);
+            } catch (e) {
+                return false;
+            }
+        });
+    }
+
+    /**
+     * The selector the stylesheet uses for an anchor: the one that found it last, or its first candidate.
+     * @param {string} anchor - Key of selectorRegistry
+     * @returns {string}
+     */
+    getResolvedSelector(anchor) {
+        return this.resolvedSelectors[anchor] || this.getAnchorSelectors(anchor)[0];
+    }
+
+    /**
+     * Resolves every anchor of selectorRegistry and shows a toast naming the ones that failed.
+     * Anchors searched inside another one are skipped when that container is missing itself, anchors
+     * of an optional feature while that feature is off, and server-only anchors outside a server.
+     * @returns {string[]} Names of the anchors that failed to resolve
+     */
+    runSelectorHealthCheck() {
+        const failedAnchors = [];
+        const isGuildRoute = Boolean(this.getRouteIds());
+        for (const [anchor, entry] of Object.entries(this.selectorRegistry)) {
+            if (entry.enabledBy && !this[entry.enabledBy]) continue; // Its feature is off
+            if (entry.guildOnly && !isGuildRoute) continue; // Not expected on this page
+            const root = entry.within ? this.findAnchor(entry.within) : this.document;
+            if (!root) continue;
+
+            if (!this.findAnchor(anchor, root)) {
+                failedAnchors.push(entry.name);
+            } else if (this.resolvedSelectors[anchor] !== this.getAnchorSelectors(anchor)[0]) {
+                this._log(
+                    `Selector health check: ${entry.name} found through fallback "${this.resolvedSelectors[anchor]}".`
+                );
+            }
+        }
+
+        if (failedAnchors.length) {
+            BdApi.UI.showToast(
+                `Member List Mover could not find: ${failedAnchors.join(", ")}. If they are on screen, Discord may have renamed them; set selector overrides in the plugin settings.`,
+                { type: "warning", timeout: 8000 }
+            );
+        } else {
+            this._log(`Selector health check: all anchors resolved.`);
+        }
+        return failedAnchors;
+    }
+
+    /** Runs the selector health check once an override has stopped changing for a second **/
+    scheduleSelectorHealthCheck() {
+        clearTimeout(this.selectorHealthCheckTimer);
+        this.selectorHealthCheckTimer = setTimeout(() => {
+            this.selectorHealthCheckTimer = null;
+            this.runSelectorHealthCheck();
+        }, 1000);
+    }
+
+    /**
+     * Returns the rules of the layout stylesheet. They only take effect while the matching classes
+     * are set on the root element, and read the measured geometry from custom properties.
+     * Discord's elements are targeted through the selectors that resolved them.
+     * @returns {string}
+     */
+    getLayoutCss() {
+        const membersWrap = `:is(${this.getResolvedSelector("membersWrap")})`;
+        const sidebarList = `:is(${this.getResolvedSelector("sidebarList")})`;
+        return `
+html.bd-mlm-moved ${membersWrap} {
+    position: fixed !important;
+    left: var(--bd-mlm-members-left) !important;
+    top: var(--bd-mlm-members-top) !important;
+    width: var(--bd-mlm-members-width) !important;
+    min-width: unset !important;
+    height: var(--bd-mlm-members-height) !important;
+    transform: translateX(0%) !important;
+    display: flex !important;
+    flex-direction: column !important;
+    transition: var(--bd-mlm-transition) !important;
+}
+html.bd-mlm-moved #bd-members-list-container {
+    width: 100% !important;
+    height: var(--bd-mlm-content-height) !important;
+    overflow-y: auto !important;
+    transition: var(--bd-mlm-transition) !important;
+}
+html.bd-mlm-stacked ${sidebarList} {
+    height: var(--bd-mlm-sidebar-height) !important;
+    margin-top: var(--bd-mlm-sidebar-margin-top) !important;
+    padding-bottom: 0 !important;
+    transition: var(--bd-mlm-transition) !important;
+}
+html.bd-mlm-stacked ${sidebarList} nav {
+    padding-bottom: 0 !important;
+}
+html.bd-mlm-beside-left :has(> ${sidebarList}) {
+    margin-left: var(--bd-mlm-members-width) !important;
+}
+html.bd-mlm-beside-right :has(> ${sidebarList}) {
+    margin-right: var(--bd-mlm-members-width) !important;
+}
+`;
+    }
+
+    /**
+     * Returns the rules for our own controls. Colors come from Discord's theme variables, with
+     * Discord's defaults as fallbacks, unless the user picked custom accent colors.
+     * @returns {string}
+     */
+    getControlsCss() {
+        const accent = this.customAccentColors ? this.accentColor : "var(--bg-brand, var(--brand-experiment, #5865f2))";
+        const danger = this.customAccentColors
+            ? this.resetAccentColor
+            : "var(--button-danger-background, var(--status-danger, #ed4245))";
+        const accentText = this.customAccentColors
+            ? this.getContrastingTextColor(this.accentColor)
+            : "var(--white-500, #fff)";
+        const dangerText = this.customAccentColors
+            ? this.getContrastingTextColor(this.resetAccentColor)
+            : "var(--white-500, #fff)";
+
+        const thickness = this.handleThickness;
+        const widthThickness = Math.max(2, Math.round(thickness / 2)); // The width handle's bar is half as thick
+        const buttonHeight = this.toggleButtonIconOnly ? this.TOGGLE_ICON_BUTTON_HEIGHT : this.TOGGLE_BUTTON_HEIGHT;
+        const alwaysVisible = this.toggleButtonMode === "always";
+
+        // Grip dots: a short row of dots as thick as the bar would be, in place of the bar
+        const gripDots = `
+.bd-mlm-handle-indicator {
+    flex: 0 0 auto;
+    width: ${thickness * 10}px;
+    margin: 0 auto;
+    background: radial-gradient(circle, var(--bd-mlm-accent) ${thickness / 2}px, transparent ${thickness / 2 + 0.5}px)
+        center / ${thickness * 2}px ${thickness}px repeat-x;
+}
+.bd-mlm-width-indicator {
+    background: radial-gradient(circle, var(--bd-mlm-accent) ${widthThickness / 2}px, transparent ${widthThickness / 2 + 0.5}px)
+        center / ${widthThickness}px ${widthThickness * 2}px repeat-y;
+}`;
+        const hoverFeedback = `
+:is(#bd-resize-handle, #bd-width-handle):hover {
+    background-color: var(--background-modifier-hover, rgba(78, 80, 88, 0.16));
+}
+:is(#bd-resize-handle, #bd-width-handle):hover > :is(.bd-mlm-handle-indicator, .bd-mlm-width-indicator) {
+    opacity: 0.6;
+}`;
+        // Always visible: the strip holds the button itself instead of revealing it on hover
+        const revealedButton = alwaysVisible
+            ? `
+#bd-move-button-wrapper,
+#bd-move-button-wrapper.bd-mlm-reset {
+    height: ${buttonHeight}px;
+    background-color: transparent;
+}
+#bd-move-button-sub-wrapper {
+    max-height: none;
+}`
+            : `
+/* Hovering the strip, or focusing the button inside it, reveals the button */
+#bd-move-button-wrapper:is(:hover, :focus-within) {
+    background-color: transparent;
+}
+#bd-move-button-wrapper:is(:hover, :focus-within) #bd-move-button-sub-wrapper {
+    max-height: ${buttonHeight}px;
+}`;
+
+        return `
+:is(#bd-move-button-wrapper, #bd-resize-handle, #bd-width-handle) {
+    --bd-mlm-accent: ${accent};
+    --bd-mlm-accent-text: ${accentText};
+    --bd-mlm-danger: ${danger};
+    --bd-mlm-danger-text: ${dangerText};
+}
+#bd-resize-handle {
+    width: 100%;
+    height: ${thickness + 4}px;
+    margin: 2px 0 6px;
+    cursor: ns-resize;
+    touch-action: none;
+    align-items: center;
+    justify-content: center;
+    border-radius: 5px;
+    transition: background-color 0.2s ease;
+}
+.bd-mlm-handle-indicator {
+    width: 100%;
+    height: ${thickness}px;
+    margin: 0 5px;
+    background-color: var(--bd-mlm-accent);
+    border-radius: ${thickness / 2}px;
+    opacity: 0.25;
+    transition: opacity 0.2s ease;
+}
+.bd-mlm-collapse-button {
+    flex: 0 0 auto;
+    display: flex;
+    align-items: center;
+    justify-content: center;
+    width: 16px;
+    height: 12px;
+    padding: 0;
+    border: none;
+    background: none;
+    color: var(--interactive-normal);
+    cursor: pointer;
+}
+.bd-mlm-collapse-button:hover {
+    color: var(--interactive-hover);
+}
+#bd-width-handle {
+    position: absolute;
+    top: 0;
+    right: ${-(widthThickness + 4) / 2}px;
+    width: ${widthThickness + 4}px;
+    height: 100%;
+    cursor: ew-resize;
+    touch-action: none;
+    justify-content: center;
+    z-index: 1;
+    transition: background-color 0.2s ease;
+}
+.bd-mlm-width-indicator {
+    width: ${widthThickness}px;
+    height: 100%;
+    background-color: var(--bd-mlm-accent);
+    opacity: 0.25;
+    transition: opacity 0.2s ease;
+}${this.handleStyle === "dots" ? gripDots : ""}${this.handleHoverFeedback ? hoverFeedback : ""}
+:is(#bd-resize-handle, #bd-width-handle):focus > :is(.bd-mlm-handle-indicator, .bd-mlm-width-indicator) {
+    opacity: 1;
+}
+#bd-move-button-wrapper {
+    position: relative;
+    height: ${thickness + 2}px;
+    margin: 2px 10px;
+    background-color: var(--bd-mlm-accent);
+    border-radius: ${(thickness + 2) / 2}px;
+    transition: background-color 0.2s ease;
+    overflow: visible;
+    display: flex;
+    align-items: center;
+    justify-content: center;
+    z-index: 1;
+    cursor: pointer;
+    min-width: 10px;
+}
+#bd-move-button-wrapper.bd-mlm-reset {
+    background-color: var(--bd-mlm-danger);
+}
+#bd-move-button-sub-wrapper {
+    position: absolute;
+    top: 0;
+    left: 0;
+    width: 100%;
+    max-height: 0;
+    overflow: hidden;
+    transition: max-height 0.25s ease;
+}
+#bd-move-members-button {
+    position: relative;
+    top: 0;
+    display: flex;
+    align-items: center;
+    justify-content: center;
+    width: 100%;
+    height: ${buttonHeight}px;
+    background-color: var(--bd-mlm-accent);
+    color: var(--bd-mlm-accent-text);
+    border: none;
+    padding: 0 12px;
+    border-radius: 5px;
+    cursor: pointer;
+    font-size: 14px;
+    text-align: center;
+    box-shadow: var(--elevation-low, 0 2px 4px rgba(0, 0, 0, 0.2));
+}
+#bd-move-button-wrapper.bd-mlm-reset #bd-move-members-button {
+    background-color: var(--bd-mlm-danger);
+    color: var(--bd-mlm-danger-text);
+}
+#bd-move-members-button:hover {
+    filter: brightness(0.9);
+}
+#bd-move-members-button svg {
+    width: 16px;
+    height: 16px;
+}
+#bd-mlm-header-button {
+    display: flex;
+    align-items: center;
+    justify-content: center;
+    cursor: pointer;
+    color: var(--interactive-normal);
+}
+#bd-mlm-header-button:hover {
+    color: var(--interactive-hover);
+}
+#bd-mlm-header-button[aria-pressed="true"] {
+    color: var(--interactive-active);
+}${revealedButton}
+`;
+    }
+
+    /**
+     * Picks black or white text for a custom accent color, whichever reads better on it.
+     * @param {string} hexColor - "#rrggbb"
+     * @returns {string}
+     */
+    getContrastingTextColor(hexColor) {
+        const [r, g, b] = [1, 3, 5].map((index) => {
+            const channel = parseInt(hexColor.slice(index, index + 2), 16) / 255;
+            return channel <= 0.03928 ? channel / 12.92 : ((channel + 0.055) / 1.055) ** 2.4;
+        });
+        const luminance = 0.2126 * r + 0.7152 * g + 0.0722 * b;
+        // White wins below the luminance where both contrast ratios are equal
+        return luminance > 0.179 ? "#000" : "#fff";
+    }
+
+    /**
+     * Injects the controls stylesheet unless it is already in the document with the current colors.
+     */
+    ensureControlsStylesheet() {
+        const css = this.getControlsCss();
+        if (css === this.injectedControlsCss && this.document.getElementById(this.controlsStyleId)) return;
+        this.addStyle(this.controlsStyleId, css);
+        this.injectedControlsCss = css;
+        this._log(`Controls stylesheet injected.`);
+    }
+
+    /**
+     * Injects a stylesheet into this instance's document, replacing an older version with the same ID.
+     * BdApi.DOM only reaches the main window, so secondary windows get a <style> element directly.
+     * @param {string} id
+     * @param {string} css
+     */
+    addStyle(id, css) {
+        if (!this.parentInstance) {
+            BdApi.DOM.addStyle(id, css);
+            return;
+        }
+        let style = this.document.getElementById(id);
+        if (!style) {
+            style = this.document.createElement("style");
+            style.id = id;
+            this.document.head.append(style);
+        }
+        style.textContent = css;
+    }
+
+    /**
+     * Removes a stylesheet added by addStyle.
+     * @param {string} id
+     */
+    removeStyle(id) {
+        if (!this.parentInstance) {
+            BdApi.DOM.removeStyle(id);
+            return;
+        }
+        this.document.getElementById(id)?.remove();
+    }
+
+    /**
+     * Injects the layout stylesheet unless it is already in the document with the current selectors.
+     */
+    ensureLayoutStylesheet() {
+        const css = this.getLayoutCss();
+        if (css === this.injectedLayoutCss && this.document.getElementById(this.layoutStyleId)) return;
+        this.addStyle(this.layoutStyleId, css);
+        this.injectedLayoutCss = css;
+        this._log(`Layout stylesheet injected.`);
+    }
+
+    /**
+     * Switches the root element to the given layout classes, removing any other layout class.
+     * @param {string[]} classNames - Entries of LAYOUT_ROOT_CLASSES
+     */
+    setLayoutClasses(classNames) {
+        const root = this.document.documentElement;
+        for (const className of this.LAYOUT_ROOT_CLASSES) {
+            root.classList.toggle(className, classNames.includes(className));
+        }
+    }
+
+    /**
+     * Writes layout custom properties onto the root element.
+     * @param {Object<string, string>} variables - Custom property names mapped to their values
+     */
+    setLayoutVariables(variables) {
+        const root = this.document.documentElement;
+        for (const [name, value] of Object.entries(variables)) {
+            root.style.setProperty(name, value);
+        }
+    }
+
+    /**
+     * Removes every layout class and custom property from the root element.
+     */
+    clearLayoutRootState() {
+        const root = this.document.documentElement;
+        root.classList.remove(...this.LAYOUT_ROOT_CLASSES);
+        for (const name of this.LAYOUT_VARIABLES) {
+            root.style.removeProperty(name);
+        }
+        if (root.getAttribute("style") === "") {
+            root.removeAttribute("style"); // Leave no empty attribute behind if the root had none
         }
+    }
+
+    /**
+     * Releases Discord's elements back to their own styles by switching the layout rules off.
+     * This is called when the plugin is stopped or if the layout needs to revert.
+     */
+    applyOriginalLayoutStyles() {
+        this.clearLayoutRootState();
+        this._log(`Layout classes and variables removed from the root element.`);
 
         // We don't hide them here; applyCurrentLayoutState handles visibility.
         // We only reset the isMoved state and update button visuals.
@@ -252,17 +2734,21 @@ module.exports = class MoveMembersWrap {
     }
 
     /**
-     * Calculates and updates percentage values for sidebar and members heights,
+     * Recomputes the layout plan for the new window size and updates the layout variables,
      * then triggers the current layout state application.
-     * This function is called on window resize and during drag operations.
+     * This function is called on window resize; in automatic mode it also switches the layout at the breakpoints.
      */
     handleWindowResize() {
+        // Automatic mode follows the width even while the member list is hidden
+        if (this.syncBreakpoint()) {
+            this._log(`Automatic layout: isMoved = ${this.isMoved} after the resize.`);
+            this.updateHeaderButtonState();
+        }
+
         // Select the target elements for layout manipulation
-        const membersWrap = document.querySelector('[class*="membersWrap"]');
-        const sidebarList = document.querySelector('[class*="sidebarList"]');
-        const userIDSection = document.querySelector('[class*="sidebarList"] ~ section');
-        // membersListContainer can be null here, applyCurrentLayoutState handles it
-        const membersListContainer = document.querySelector("#bd-members-list-container");
+        const membersWrap = this.findAnchor("membersWrap");
+        const sidebarList = this.findAnchor("sidebarList");
+        const userIDSection = this.findAnchor("userSection");
 
         if (!membersWrap || !sidebarList || !userIDSection) {
             // membersListContainer can be missing
@@ -270,86 +2756,114 @@ module.exports = class MoveMembersWrap {
             return;
         }
 
-        let sidebarListRect = sidebarList.getBoundingClientRect();
-        const userIDSectionRect = userIDSection.getBoundingClientRect();
-
-        const totalColumnHeight = userIDSectionRect.top - sidebarListRect.top;
-        const availableHeightForPanels = totalColumnHeight;
-
-        if (availableHeightForPanels <= 0) {
+        const plan = this.getLayoutPlan(sidebarList, userIDSection);
+        if (!plan) {
             this._warn(`Available height for panels is zero or negative. Skipping layout update.`);
             return;
         }
+        this.setLayoutVariables(plan.variables);
+
+        // Trigger the centralized layout application with the newly calculated values
+        this.queueLayoutReapply(); // Use queueLayoutReapply for all external triggers
 
-        const calculatedSidebarHeight = availableHeightForPanels * this.sidebarHeightPercentage;
-        const calculatedMembersTotalHeight = availableHeightForPanels * this.membersHeightPercentage;
+        this._log(`Layout recomputed and applied (CSS variables).`);
+    }
 
-        sidebarList.style.height = `${calculatedSidebarHeight}px`;
-        sidebarList.style.paddingBottom = "0px";
-        const sidebarNav = sidebarList.querySelector("nav");
-        if (sidebarNav) {
-            sidebarNav.style.paddingBottom = "0px";
-        }
+    /**
+     * Measures the rects the layout plan is derived from, as they would be without our layout.
+     * Our own margins are subtracted: the margin-top that makes room for the member list above the
+     * channel list, and the margin-left that makes room for it beside the sidebar on the left.
+     * Computed values are used, so they follow the margins while they animate.
+     * @param {HTMLElement} sidebarList
+     * @param {HTMLElement} userIDSection
+     * @returns {{left: number, width: number, top: number, columnLeft: number, columnRight: number, userSectionTop: number, userSectionBottom: number}}
+     */
+    measureLayout(sidebarList, userIDSection) {
+        const root = this.document.documentElement;
+        const sidebarColumn = sidebarList.parentElement;
+        const sidebarListRect = sidebarList.getBoundingClientRect();
+        const sidebarColumnRect = sidebarColumn.getBoundingClientRect();
+        const userIDSectionRect = userIDSection.getBoundingClientRect();
 
-        // Recompute sidebarListRect AFTER its height is set to ensure accurate .bottom
-        sidebarListRect = sidebarList.getBoundingClientRect();
+        const ownMarginTop = root.classList.contains("bd-mlm-members-above")
+            ? parseFloat(this.window.getComputedStyle(sidebarList).marginTop) || 0
+            : 0;
+        const ownMarginLeft = root.classList.contains("bd-mlm-beside-left")
+            ? parseFloat(this.window.getComputedStyle(sidebarColumn).marginLeft) || 0
+            : 0;
+
+        return {
+            left: sidebarListRect.left - ownMarginLeft,
+            width: sidebarListRect.width,
+            top: sidebarListRect.top - ownMarginTop,
+            columnLeft: sidebarColumnRect.left - ownMarginLeft,
+            columnRight: sidebarColumnRect.right - ownMarginLeft,
+            userSectionTop: userIDSectionRect.top,
+            userSectionBottom: userIDSectionRect.bottom
+        };
+    }
 
-        // Trigger the centralized layout application with the newly calculated values
-        this.queueLayoutReapply(); // Use queueLayoutReapply for all external triggers
+    /**
+     * Collects the state and settings LayoutEngine plans from.
+     * @returns {Object}
+     */
+    getLayoutSettings() {
+        return {
+            isMoved: this.isMoved,
+            placementMode: this.placementMode,
+            stackOrder: this.stackOrder,
+            besideSide: this.besideSide,
+            split: { sidebar: this.sidebarHeightPercentage, members: this.membersHeightPercentage },
+            collapsedPane: this.collapsedPane,
+            pixelSizing: this.getPixelSizing(),
+            membersWidthPx: this.membersWidthPx,
+            uiHeightPx: this.OUR_UI_HEIGHT_PX,
+            buttonWrapperHeightPx: this.BUTTON_WRAPPER_HEIGHT,
+            transition: this.getHeightTransition()
+        };
+    }
 
-        this._log(`Layout recomputed and applied (CSS transformation).`);
+    /**
+     * Collects the pixel sizing settings for LayoutEngine.getPanelHeights.
+     * @returns {Object | null} Null while the column is split by shares
+     */
+    getPixelSizing() {
+        if (this.sizingMode !== "pixels") return null;
+        return {
+            pane: this.pixelSizedPane,
+            heightPx: this.pixelHeightPx,
+            minPx: this.pixelMinPx,
+            maxPx: Math.max(this.pixelMinPx, this.pixelMaxPx), // A maximum below the minimum pins the minimum
+            minShare: this.MIN_HEIGHT_PERCENTAGE
+        };
     }
 
     /**
-     * Applies the CSS styles for the "moved" layout state.
-     * @param {HTMLElement} membersWrap
+     * Measures the current DOM and plans the layout for the current state.
      * @param {HTMLElement} sidebarList
-     * @param {HTMLElement | null} membersListContainer - Can be null
-     * @param {number} calculatedSidebarHeight
-     * @param {number} calculatedMembersTotalHeight
-     * @param {DOMRect} sidebarListRect
-     */
-    applyMovedLayoutStyles(
-        membersWrap,
-        sidebarList,
-        membersListContainer,
-        calculatedSidebarHeight,
-        calculatedMembersTotalHeight,
-        sidebarListRect
-    ) {
-        this._log(`Applying MOVED layout styles.`);
-
-        const remainingHeightForDiscordContent = calculatedMembersTotalHeight - this.OUR_UI_HEIGHT_PX;
-
-        // Apply styles to membersWrap regardless of membersListContainer presence
-        membersWrap.style.position = "fixed";
-        membersWrap.style.width = `${sidebarListRect.width}px`;
-        membersWrap.style.height = `${calculatedMembersTotalHeight}px`;
-        membersWrap.style.left = `${sidebarListRect.left}px`;
-        membersWrap.style.top = `${sidebarListRect.bottom}px`;
-        membersWrap.style.transform = "translateX(0%)";
-        membersWrap.style.removeProperty("z-index"); // Ensure z-index is explicitly removed for membersWrap
-        membersWrap.style.minWidth = "unset";
-        membersWrap.style.display = "flex";
-        membersWrap.style.flexDirection = "column";
-
-        sidebarList.style.height = `${calculatedSidebarHeight}px`;
-        sidebarList.style.paddingBottom = "0px";
-        const sidebarNav = sidebarList.querySelector("nav");
-        if (sidebarNav) {
-            sidebarNav.style.paddingBottom = "0px";
-        }
-
-        // Apply styles to membersListContainer only if it is present
-        if (membersListContainer) {
-            membersListContainer.style.height = `${Math.max(0, remainingHeightForDiscordContent)}px`;
-            membersListContainer.style.width = "100%";
-            membersListContainer.style.overflowY = "auto";
-            this._log(`membersListContainer styles applied.`);
-        } else {
-            this._log(`membersListContainer not present, skipping its style application.`);
+     * @param {HTMLElement} userIDSection
+     * @returns {Object | null} LayoutEngine plan, or null if there is no room for the moved layout
+     */
+    getLayoutPlan(sidebarList, userIDSection) {
+        this.lastMeasurements = this.measureLayout(sidebarList, userIDSection);
+        return LayoutEngine.planLayout(this.lastMeasurements, this.getLayoutSettings());
+    }
+
+    /**
+     * Applies a layout plan: injects the stylesheet if needed, then writes the plan's custom
+     * properties and switches the root element to its classes.
+     * @param {Object} plan - LayoutEngine plan
+     */
+    applyLayoutPlan(plan) {
+        this._record("debug", "layout", `Applying ${plan.mode.toUpperCase()} layout plan.`, {
+            measurements: this.lastMeasurements,
+            variables: plan.variables
+        });
+        if (plan.classes.length) {
+            this.ensureLayoutStylesheet();
         }
-        this._log(`MOVED layout styles processing completed.`);
+        this.setLayoutVariables(plan.variables);
+        this.setLayoutClasses(plan.classes);
     }
 
     /**
@@ -357,13 +2871,28 @@ module.exports = class MoveMembersWrap {
      * This method orchestrates element finding, parenting, and style application.
      */
     applyCurrentLayoutState() {
-        this._log(`Entering applyCurrentLayoutState logic block.`);
+        this._debug(`Entering applyCurrentLayoutState logic block.`);
         try {
-            const membersWrap = document.querySelector('[class*="membersWrap"]');
-            const sidebarList = document.querySelector('[class*="sidebarList"]');
-            const userIDSection = document.querySelector('[class*="sidebarList"] ~ section');
+            this.syncProfileWithRoute();
+            this.syncBreakpoint();
+            if (this.autoMoveEnabled && !this.resizeListenerAdded) {
+                // Automatic mode needs the width in every layout, not only the moved ones
+                this.window.addEventListener("resize", this.onResizeHandler);
+                this.resizeListenerAdded = true;
+                this._log(`Added window resize listener for the automatic layout.`);
+            }
+
+            const membersWrap = this.findAnchor("membersWrap");
+            const sidebarList = this.findAnchor("sidebarList");
+            const userIDSection = this.findAnchor("userSection");
             let membersListContainer = null; // Will be queried later, can be null initially
 
+            // The header button stays usable while the member list is hidden, so it is placed first
+            if (this.headerButtonEnabled) {
+                this.ensureControlsStylesheet();
+                this.ensureHeaderButton();
+            }
+
             if (!membersWrap) {
                 this._warn(`applyCurrentLayoutState: membersWrap not found. Skipping application.`);
                 return;
@@ -377,8 +2906,10 @@ module.exports = class MoveMembersWrap {
                 return;
             }
 
+            this.observeGeometryElements(sidebarList, userIDSection);
+
             // Attempt to find membersListContainer
-            membersListContainer = membersWrap.querySelector('[class*="members"]');
+            membersListContainer = this.findAnchor("membersListContainer", membersWrap);
             if (membersListContainer) {
                 membersListContainer.id = "bd-members-list-container";
                 this._log(`Ensured ID "bd-members-list-container" on Discord\'s members content container.`);
@@ -389,61 +2920,103 @@ module.exports = class MoveMembersWrap {
             }
 
             // Ensure our custom UI elements exist in memory. addMoveButton now only creates them.
-            if (!this.button || !this.wrapperDiv || !this.resizeHandle) {
+            if (!this.button || !this.wrapperDiv || !this.resizeHandle || !this.widthHandle) {
                 this.addMoveButton();
                 this._log(`applyCurrentLayoutState: Created custom UI elements in memory.`);
             }
+            this.ensureControlsStylesheet();
 
             // Handle parenting and visibility based on isMoved state
-            if (this.isMoved) {
-                this._log(`isMoved is TRUE. Processing MOVED layout.`);
-                let sidebarListRect = sidebarList.getBoundingClientRect();
-                const userIDSectionRect = userIDSection.getBoundingClientRect();
-                const totalColumnHeight = userIDSectionRect.top - sidebarListRect.top;
-                const availableHeightForPanels = totalColumnHeight;
+            if (this.isMoved && this.placementMode === "beside") {
+                this._log(`isMoved is TRUE. Processing BESIDE layout.`);
+                const plan = this.getLayoutPlan(sidebarList, userIDSection);
+                if (!plan) {
+                    this._warn(`applyCurrentLayoutState: Column height is zero or negative. Skipping beside layout.`);
+                    return;
+                }
+                // Switching the root classes also releases the channel list's stacked height
+                this.applyLayoutPlan(plan);
 
-                if (availableHeightForPanels <= 0) {
+                // The split handle has nothing to resize here; the width handle takes its place
+                if (this.resizeHandle) {
+                    if (this.resizeHandle.parentNode) {
+                        this.resizeHandle.parentNode.removeChild(this.resizeHandle);
+                        this._log(`Removed resize handle from DOM (BESIDE state).`);
+                    }
+                    this.resizeHandle.style.display = "none";
+                }
+                if (this.wrapperDiv) {
+                    if (this.wrapperDiv.parentNode !== membersWrap) {
+                        membersWrap.prepend(this.wrapperDiv);
+                        this._log(`Re-parented button wrapper to membersWrap (BESIDE state).`);
+                    }
+                    this.wrapperDiv.style.display = "flex";
+                }
+                if (this.widthHandle) {
+                    if (this.widthHandle.parentNode !== membersWrap) {
+                        membersWrap.appendChild(this.widthHandle);
+                        this._log(`Re-parented width handle to membersWrap (BESIDE state).`);
+                    }
+                    this.widthHandle.style.display = "flex";
+                }
+
+                if (!this.resizeListenerAdded) {
+                    this.window.addEventListener("resize", this.onResizeHandler);
+                    this.resizeListenerAdded = true;
+                    this._log(`Added window resize listener.`);
+                }
+                this._log(`BESIDE layout processing completed (applied: true).`);
+            } else if (this.isMoved) {
+                this._log(`isMoved is TRUE. Processing MOVED layout.`);
+                if (this.widthHandle && this.widthHandle.parentNode) {
+                    this.widthHandle.parentNode.removeChild(this.widthHandle);
+                    this._log(`Removed width handle from DOM (MOVED state).`);
+                }
+                const plan = this.getLayoutPlan(sidebarList, userIDSection);
+                if (!plan) {
                     this._warn(
                         `applyCurrentLayoutState: Available height for panels is zero or negative. Skipping moved layout update.`
                     );
                     return;
                 }
-                const calculatedSidebarHeight = availableHeightForPanels * this.sidebarHeightPercentage;
-                const calculatedMembersTotalHeight = availableHeightForPanels * this.membersHeightPercentage;
-
-                // Set sidebarList height. This is always done, as it's a prerequisite for layout calculation.
-                sidebarList.style.height = `${calculatedSidebarHeight}px`;
-                sidebarListRect = sidebarList.getBoundingClientRect();
-
-                // applyMovedLayoutStyles will handle membersListContainer gracefully if it's null
-                this._log(`applyCurrentLayoutState: Calling applyMovedLayoutStyles.`);
-                this.applyMovedLayoutStyles(
-                    membersWrap,
-                    sidebarList,
-                    membersListContainer,
-                    calculatedSidebarHeight,
-                    calculatedMembersTotalHeight,
-                    sidebarListRect
-                );
+
+                // The stylesheet's rules for membersListContainer apply whenever it shows up
+                this.applyLayoutPlan(plan);
 
                 // --- Manage our custom UI element's parenting and visibility for MOVED state ---
-                // Our elements must always be visible in the moved state.
-                // Resize handle should be a direct child of membersWrap and visible
+                // Our elements must always be visible in the moved state, on the edge facing the channel
+                // list: handle then button at the top when below it, button then handle at the bottom when above.
+                const membersAbove = this.stackOrder === "above";
                 if (this.resizeHandle) {
-                    if (!membersWrap.contains(this.resizeHandle)) {
-                        membersWrap.prepend(this.resizeHandle);
-                        this._log(`Re-parented resize handle to membersWrap (MOVED state).`);
+                    const isPlaced = membersAbove
+                        ? membersWrap.lastElementChild === this.resizeHandle
+                        : membersWrap.firstElementChild === this.resizeHandle;
+                    if (!isPlaced) {
+                        if (membersAbove) {
+                            membersWrap.appendChild(this.resizeHandle);
+                        } else {
+                            membersWrap.prepend(this.resizeHandle);
+                        }
+                        this._log(`Re-parented resize handle to membersWrap (MOVED state, ${this.stackOrder}).`);
                     }
                     this.resizeHandle.style.display = "flex";
                     this._log(`Resize handle display set to flex (MOVED state).`);
                 }
 
-                // Button wrapper should be a direct child of membersWrap and visible
+                // Button wrapper should be a direct child of membersWrap, next to the handle, and visible
                 if (this.wrapperDiv) {
-                    if (!membersWrap.contains(this.wrapperDiv)) {
-                        // Ensure it's inserted after the resizeHandle if both exist
-                        if (this.resizeHandle && membersWrap.contains(this.resizeHandle)) {
-                            membersWrap.insertBefore(this.wrapperDiv, this.resizeHandle.nextSibling);
+                    const handleIsPlaced = this.resizeHandle && this.resizeHandle.parentNode === membersWrap;
+                    const isPlaced = handleIsPlaced
+                        ? membersAbove
+                            ? this.resizeHandle.previousElementSibling === this.wrapperDiv
+                            : this.resizeHandle.nextElementSibling === this.wrapperDiv
+                        : this.wrapperDiv.parentNode === membersWrap;
+                    if (!isPlaced) {
+                        if (handleIsPlaced) {
+                            membersWrap.insertBefore(
+                                this.wrapperDiv,
+                                membersAbove ? this.resizeHandle : this.resizeHandle.nextSibling
+                            );
                         } else {
                             membersWrap.appendChild(this.wrapperDiv); // Fallback if resizeHandle is missing
                         }
@@ -454,9 +3027,9 @@ module.exports = class MoveMembersWrap {
                 }
 
                 // Window resize listener is always added when in the moved layout
-                if (!window.bdResizeListenerAdded) {
-                    window.addEventListener("resize", this.onResizeHandler);
-                    window.bdResizeListenerAdded = true;
+                if (!this.resizeListenerAdded) {
+                    this.window.addEventListener("resize", this.onResizeHandler);
+                    this.resizeListenerAdded = true;
                     this._log(`Added window resize listener.`);
                 } else {
                     this._log(`Window resize listener already added.`);
@@ -466,8 +3039,14 @@ module.exports = class MoveMembersWrap {
                 // If isMoved is FALSE (Original Layout)
                 this._log(`isMoved is FALSE. Processing ORIGINAL layout.`);
 
+                this.endDrag(); // The handle is about to leave the DOM
                 this.applyOriginalLayoutStyles(); // This resets Discord elements
 
+                if (this.widthHandle && this.widthHandle.parentNode) {
+                    this.widthHandle.parentNode.removeChild(this.widthHandle);
+                    this._log(`Removed width handle from DOM (ORIGINAL state).`);
+                }
+
                 // --- Manage our custom UI element's parenting and visibility for ORIGINAL state ---
                 // Resize handle should be removed from DOM and hidden
                 if (this.resizeHandle) {
@@ -497,13 +3076,13 @@ module.exports = class MoveMembersWrap {
                     );
                 }
 
-                // Window resize listener is only removed when applying the original layout
-                if (window.bdResizeListenerAdded) {
-                    window.removeEventListener("resize", this.onResizeHandler);
-                    window.bdResizeListenerAdded = false;
+                // Window resize listener is only removed when applying the original layout outside automatic mode
+                if (this.resizeListenerAdded && !this.autoMoveEnabled) {
+                    this.window.removeEventListener("resize", this.onResizeHandler);
+                    this.resizeListenerAdded = false;
                     this._log(`Removed window resize listener.`);
                 } else {
-                    this._log(`Window resize listener was not added, no need to remove.`);
+                    this._log(`Window resize listener was not added or is still needed, not removing it.`);
                 }
                 this._log(`ORIGINAL layout processing completed (applied: true).`);
             }
@@ -524,14 +3103,14 @@ module.exports = class MoveMembersWrap {
      * It now ONLY creates elements in memory. Their DOM placement is handled by applyCurrentLayoutState.
      */
     addMoveButton() {
-        const membersWrap = document.querySelector('[class*="membersWrap"]');
+        const membersWrap = this.findAnchor("membersWrap");
         if (!membersWrap) {
             this._warn(`membersWrap element not found during addMoveButton. Cannot create button elements.`);
             return;
         }
 
         // Ensure Discord's membersListContainer has an ID for consistent targeting
-        let membersListContainer = membersWrap.querySelector('[class*="members"]');
+        let membersListContainer = this.findAnchor("membersListContainer", membersWrap);
         if (membersListContainer) {
             membersListContainer.id = "bd-members-list-container";
             this._log(`Ensured ID "bd-members-list-container" on Discord\'s members content container.`);
@@ -544,111 +3123,100 @@ module.exports = class MoveMembersWrap {
         // Create/ensure resize handle exists in memory
         if (!this.resizeHandle) {
             this._log(`Creating new resize handle in memory.`);
-            const resizeHandle = document.createElement("div");
+            const resizeHandle = this.document.createElement("div");
             resizeHandle.id = "bd-resize-handle";
-            // Note: No z-index or initial display set here. Display is handled by applyCurrentLayoutState.
-            resizeHandle.style.cssText = `
-                width: 100%;
-                height: 8px; 
-                margin: 2px 0px 6px; 
-                cursor: ns-resize;
-                align-items: center;
-                justify-content: center;
-                border-radius: 5px; 
-            `;
+            // Focusable separator so keyboard and screen-reader users can resize the lists
+            resizeHandle.tabIndex = 0;
+            resizeHandle.setAttribute("role", "separator");
+            resizeHandle.setAttribute("aria-orientation", "horizontal");
+            resizeHandle.setAttribute("aria-label", "Resize channel list and member list");
+            // Note: Styled by the controls stylesheet. Display is handled by applyCurrentLayoutState.
             this.resizeHandle = resizeHandle;
 
-            const handleIndicator = document.createElement("div");
-            handleIndicator.style.cssText = `
-                width: 100%; 
-                height: 4px; 
-                margin: 0 5px; 
-                background-color: var(--bg-brand); 
-                border-radius: 2px; 
-                opacity: 0.25; 
-                transition: opacity 0.2s ease; 
-            `;
+            const handleIndicator = this.document.createElement("div");
+            handleIndicator.className = "bd-mlm-handle-indicator";
             this.handleIndicator = handleIndicator;
-            resizeHandle.appendChild(handleIndicator);
+
+            // Chevrons at either end of the handle collapse or restore one of the lists
+            const createCollapseButton = (id) => {
+                const collapseButton = this.document.createElement("button");
+                collapseButton.id = id;
+                collapseButton.type = "button";
+                collapseButton.className = "bd-mlm-collapse-button";
+                return collapseButton;
+            };
+            const collapseSidebarButton = createCollapseButton("bd-collapse-sidebar-button");
+            const collapseMembersButton = createCollapseButton("bd-collapse-members-button");
+            resizeHandle.append(collapseSidebarButton, handleIndicator, collapseMembersButton);
         } else {
             this._log(`Re-using existing resize handle from memory.`);
-            this.handleIndicator = this.resizeHandle.querySelector("div");
+            this.handleIndicator = this.resizeHandle.querySelector(".bd-mlm-handle-indicator");
+        }
+        this.collapseSidebarButton = this.resizeHandle.querySelector("#bd-collapse-sidebar-button");
+        this.collapseMembersButton = this.resizeHandle.querySelector("#bd-collapse-members-button");
+        for (const [collapseButton, pane] of [
+            [this.collapseSidebarButton, "sidebar"],
+            [this.collapseMembersButton, "members"]
+        ]) {
+            if (!collapseButton) continue;
+            collapseButton.onpointerdown = (e) => e.stopPropagation(); // Clicking a chevron is not a drag
+            collapseButton.ondblclick = (e) => e.stopPropagation();
+            collapseButton.onclick = (e) => {
+                e.stopPropagation();
+                this.toggleCollapsedPane(pane);
+            };
         }
 
-        // Attach resize handle events (always re-attach to ensure they are active)
-        this.resizeHandle.onmouseover = () => {
-            if (this.handleIndicator) this.handleIndicator.style.opacity = "0.5";
-        };
-        this.resizeHandle.onmouseout = () => {
-            if (this.handleIndicator) this.handleIndicator.style.opacity = "0.25";
+        // Attach resize handle events (always re-attach to ensure they are active).
+        // Hover and focus feedback comes from the controls stylesheet.
+        this.resizeHandle.onkeydown = (e) => this.onResizeHandleKeyDown(e);
+        this.resizeHandle.onpointerdown = (e) => this.startDrag(e);
+        this.resizeHandle.ondblclick = (e) => {
+            e.preventDefault();
+            this.restoreSplitFromDoubleClick();
         };
-        this.resizeHandle.onmousedown = (e) => {
-            if (!this.isMoved) return;
-            this.isDragging = true;
-            this.initialMouseY = e.clientY;
-            this.initialSidebarHeightPercentage = this.sidebarHeightPercentage;
-            this.initialMembersHeightPercentage = this.membersHeightPercentage;
-            window.addEventListener("mousemove", this.onMouseMoveHandler);
-            window.addEventListener("mouseup", this.onMouseUpHandler);
+        this.resizeHandle.oncontextmenu = (e) => this.openResizeHandleContextMenu(e);
+
+        // Create/ensure the beside mode width handle exists in memory
+        if (!this.widthHandle) {
+            this._log(`Creating new width handle in memory.`);
+            const widthHandle = this.document.createElement("div");
+            widthHandle.id = "bd-width-handle";
+            widthHandle.tabIndex = 0;
+            widthHandle.setAttribute("role", "separator");
+            widthHandle.setAttribute("aria-orientation", "vertical");
+            widthHandle.setAttribute("aria-label", "Resize member list width");
+            const widthIndicator = this.document.createElement("div");
+            widthIndicator.className = "bd-mlm-width-indicator";
+            widthHandle.appendChild(widthIndicator);
+            this.widthHandle = widthHandle;
+        }
+        this.widthHandle.onpointerdown = (e) => this.startDrag(e, "x");
+        this.widthHandle.ondblclick = (e) => {
             e.preventDefault();
-            this._log(`Started dragging resize handle.`);
+            this.setMembersWidth(this.DEFAULT_MEMBERS_WIDTH_PX);
         };
+        this.widthHandle.onkeydown = (e) => this.onWidthHandleKeyDown(e);
 
         // Create/ensure button wrapper exists in memory
         if (!this.wrapperDiv) {
             this._log(`Creating new button wrapper and button in memory.`);
-            this.wrapperDiv = document.createElement("div");
+            this.wrapperDiv = this.document.createElement("div");
             this.wrapperDiv.id = "bd-move-button-wrapper";
-            // Note: Initial display set here, z-index set to 1.
-            this.wrapperDiv.style.cssText = `
-                position: relative;
-                height: 6px; 
-                margin: 2px 10px;
-                background-color: #5865F2;
-                border-radius: 3px; 
-                transition: background-color 0.2s ease;
-                overflow: visible;
-                display: flex; /* Always display as flex to contain button */
-                align-items: center;
-                justify-content: center;
-                z-index: 1; /* Set z-index for button wrapper as requested */
-                cursor: pointer;
-                min-width: 10px; 
-            `;
-
-            let subContainerDiv = document.createElement("div");
+            this.wrapperDiv.style.display = "flex"; // Always display as flex to contain button
+
+            let subContainerDiv = this.document.createElement("div");
             subContainerDiv.id = "bd-move-button-sub-wrapper";
-            subContainerDiv.style.cssText = `
-                position: absolute;
-                top: 0;
-                left: 0;
-                width: 100%;
-                max-height: 0;
-                overflow: hidden;
-                transition: max-height 0.25s ease;
-            `;
             this.subContainerDiv = subContainerDiv;
 
-            const moveButton = document.createElement("button");
+            const moveButton = this.document.createElement("button");
             moveButton.id = "bd-move-members-button";
             moveButton.textContent = "Move";
+            // Fixed accessible name; aria-pressed carries the state while the visible text changes
+            moveButton.setAttribute("aria-label", "Move member list under channel list");
+            moveButton.setAttribute("aria-pressed", "false");
             this.button = moveButton;
 
-            moveButton.style.cssText = `
-                position: relative;
-                top: 0px;
-                width: 100%;
-                background-color: #5865F2;
-                color: white;
-                border: none;
-                padding: 8px 12px;
-                border-radius: 5px;
-                cursor: pointer;
-                font-size: 14px;
-                text-align: center;
-                box-shadow: 0 2px 4px rgba(0,0,0,0.2);
-            `;
-
             subContainerDiv.appendChild(this.button);
             this.wrapperDiv.appendChild(subContainerDiv);
         } else {
@@ -657,208 +3225,744 @@ module.exports = class MoveMembersWrap {
             this.button = this.subContainerDiv ? this.subContainerDiv.querySelector("#bd-move-members-button") : null;
         }
 
-        // Attach button wrapper and button events (always re-attach)
-        if (this.wrapperDiv && this.subContainerDiv && this.button) {
-            this.wrapperDiv.onmouseover = () => {
-                this.wrapperDiv.style.backgroundColor = "transparent";
-                this.subContainerDiv.style.maxHeight = "3em";
-                this._log(`Hover ON: max-height set to 3em.`);
-            };
-            this.wrapperDiv.onmouseout = () => {
-                this.wrapperDiv.style.backgroundColor = this.isMoved ? "#ED4245" : "#5865F2";
-                this.subContainerDiv.style.maxHeight = "0";
-                this._log(`Hover OFF: max-height set to 0.`);
-            };
-            this.button.onclick = (event) => {
-                event.stopPropagation();
-                this.isMoved = !this.isMoved;
-                BdApi.saveData(this.pluginId, this.dataKey, this.isMoved);
-                BdApi.saveData(this.pluginId, this.heightsDataKey, {
-                    sidebar: this.sidebarHeightPercentage,
-                    members: this.membersHeightPercentage
-                });
-                this.queueLayoutReapply(); // Trigger re-application
-            };
+        // Attach button events (always re-attach). The stylesheet reveals the button on hover and
+        // while it has keyboard focus.
+        if (this.wrapperDiv && this.subContainerDiv && this.button) {
+            this.button.onclick = (event) => {
+                event.stopPropagation();
+                this.toggleMovedState();
+            };
+        }
+
+        // This function now only creates/re-attaches event listeners.
+        // Actual DOM appending/re-parenting is handled by applyCurrentLayoutState.
+        this._log(`addMoveButton finished. Custom elements are in memory with event listeners.`);
+    }
+
+    /** Helper to update the button's visual state (text, color) and wrappers' initial state **/
+    updateButtonVisualState(buttonElement, wrapperElement, subContainerElement, isMovedState) {
+        if (!buttonElement || !wrapperElement || !subContainerElement || !this.resizeHandle || !this.handleIndicator) {
+            this._warn(`updateButtonVisualState called with missing elements.`);
+            return;
+        }
+
+        // The stylesheet colors the button and its strip with the danger color while this class is set.
+        // The button itself is only rewritten on a real change; doing it on every pass would feed the observer.
+        const label = isMovedState ? "Reset Layout" : "Move";
+        const state = `${isMovedState}-${this.toggleButtonIconOnly}`;
+        if (buttonElement.dataset.state !== state) {
+            buttonElement.dataset.state = state;
+            if (this.toggleButtonIconOnly) {
+                buttonElement.replaceChildren(this.createToggleIcon(isMovedState));
+                buttonElement.title = label; // The aria-label stays the accessible name
+            } else {
+                buttonElement.textContent = label;
+                buttonElement.removeAttribute("title");
+            }
+            buttonElement.setAttribute("aria-pressed", String(isMovedState));
+        }
+        wrapperElement.classList.toggle("bd-mlm-reset", isMovedState);
+        this.updateHeaderButtonState();
+        this.updateResizeHandleAria();
+        this.updateWidthHandleAria();
+        this.updateCollapseButtons();
+
+        // Removed display logic from here, it's handled in applyCurrentLayoutState
+        this._log(`Button visual state updated.`);
+    }
+
+    /**
+     * Creates the icon of the icon-only toggle button: an arrow into the channel column to move the
+     * member list, an undo arrow to reset the layout.
+     * @param {boolean} isMovedState
+     * @returns {SVGElement}
+     */
+    createToggleIcon(isMovedState) {
+        const svgNamespace = "http://www.w3.org/2000/svg";
+        const icon = this.document.createElementNS(svgNamespace, "svg");
+        icon.setAttribute("viewBox", "0 0 24 24");
+        icon.setAttribute("aria-hidden", "true");
+        const path = this.document.createElementNS(svgNamespace, "path");
+        path.setAttribute("d", isMovedState ? "M9 14 4 9l5-5M4 9h11a5 5 0 0 1 0 10h-3" : "M19 5 5 19M5 9v10h10");
+        path.setAttribute("fill", "none");
+        path.setAttribute("stroke", "currentColor");
+        path.setAttribute("stroke-width", "2");
+        path.setAttribute("stroke-linecap", "round");
+        path.setAttribute("stroke-linejoin", "round");
+        icon.appendChild(path);
+        return icon;
+    }
+
+    /**
+     * Creates the channel header button in memory. It borrows the classes of Discord's member list
+     * toggle so it looks like the toolbar's own icons.
+     * @param {Element|null} nativeToggle - Discord's "Show Member List" icon, if found
+     */
+    createHeaderButton(nativeToggle) {
+        const button = this.document.createElement("div");
+        button.id = "bd-mlm-header-button";
+        button.setAttribute("role", "button");
+        button.tabIndex = 0;
+        if (nativeToggle) {
+            // Without the selected class; our pressed state is shown through aria-pressed
+            button.className = [...nativeToggle.classList].filter((name) => !/selected/i.test(name)).join(" ");
+        }
+        button.addEventListener("click", () => this.toggleMovedState());
+        button.addEventListener("keydown", (e) => {
+            if (e.key !== "Enter" && e.key !== " ") return;
+            e.preventDefault();
+            this.toggleMovedState();
+        });
+        this.headerButton = button;
+        this.headerTooltip = BdApi.UI.createTooltip?.(button, "", { side: "bottom" }) || null;
+        this._log(`Channel header button created.`);
+    }
+
+    /**
+     * Finds Discord's member list icon in the header toolbar: by its English aria-label, else as the
+     * icon right before the search bar, where Discord puts it.
+     * @param {Element} toolbar
+     * @returns {Element | null}
+     */
+    findMemberListToggle(toolbar) {
+        const labeledToggle = toolbar.querySelector(this.MEMBER_LIST_TOGGLE_SELECTOR);
+        if (labeledToggle) return labeledToggle;
+        const previous = toolbar.querySelector(this.TOOLBAR_SEARCH_SELECTOR)?.previousElementSibling;
+        return previous && previous !== this.headerButton ? previous : null;
+    }
+
+    /**
+     * Puts the header button into the channel header's toolbar, right after Discord's member list
+     * toggle, or first in the toolbar when that icon is missing. Does nothing if it is already there.
+     */
+    ensureHeaderButton() {
+        if (this.isHeaderButtonPlaced()) return;
+        const toolbar = this.findAnchor("headerToolbar");
+        if (!toolbar) return;
+
+        const nativeToggle = this.findMemberListToggle(toolbar);
+        if (!this.headerButton) {
+            this.createHeaderButton(nativeToggle);
+        }
+        if (nativeToggle) {
+            nativeToggle.after(this.headerButton);
+        } else {
+            toolbar.prepend(this.headerButton);
+        }
+        this.updateHeaderButtonState();
+        this._log(`Channel header button placed${nativeToggle ? " next to the member list toggle" : ""}.`);
+    }
+
+    /** Whether the header button is in the document, inside the header toolbar **/
+    isHeaderButtonPlaced() {
+        const parent = this.headerButton?.isConnected ? this.headerButton.parentElement : null;
+        return Boolean(parent && this.matchesAnchor(parent, "headerToolbar"));
+    }
+
+    /** Shows the moved state on the header button: its icon, tooltip and pressed state **/
+    updateHeaderButtonState() {
+        // Only touch the DOM on a real change; rewriting the icon on every pass would feed the observer
+        if (!this.headerButton || this.headerButton.dataset.state === String(this.isMoved)) return;
+        this.headerButton.dataset.state = String(this.isMoved);
+        const label = this.isMoved ? "Reset Member List Layout" : "Move Member List";
+        this.headerButton.replaceChildren(this.createHeaderIcon(this.isMoved));
+        this.headerButton.setAttribute("aria-label", label);
+        this.headerButton.setAttribute("aria-pressed", String(this.isMoved));
+        if (this.headerTooltip?.labelElement) {
+            this.headerTooltip.labelElement.textContent = label;
+        } else {
+            this.headerButton.title = label;
+        }
+    }
+
+    /** Removes the header button and its tooltip **/
+    removeHeaderButton() {
+        if (!this.headerButton) return;
+        this.headerTooltip?.hide?.();
+        this.headerButton.remove();
+        this.headerButton = null;
+        this.headerTooltip = null;
+        this._log(`Channel header button removed.`);
+    }
+
+    /**
+     * Failsafe part for the header button: re-injects it when Discord re-rendered the header without it.
+     * Kept out of the deviation streaks; a re-rendered header is not a fight over the layout.
+     */
+    checkHeaderButton() {
+        if (!this.headerButtonEnabled || this.isHeaderButtonPlaced() || !this.findAnchor("headerToolbar")) return;
+        this.diagnosticsCounters.failsafeDeviations++;
+        this._record("warn", "failsafe", `Failsafe: Header button missing from the channel header. Re-injecting.`, {
+            property: "header button placement"
+        });
+        this.ensureHeaderButton();
+        this.attachLayoutObserver(); // Follow the re-rendered header
+    }
+
+    /**
+     * Creates the header button's icon: a window whose left column takes the member list (a
+     * divided column once moved), drawn like Discord's toolbar icons.
+     * @param {boolean} isMovedState
+     * @returns {SVGElement}
+     */
+    createHeaderIcon(isMovedState) {
+        const svgNamespace = "http://www.w3.org/2000/svg";
+        const icon = this.document.createElementNS(svgNamespace, "svg");
+        icon.setAttribute("viewBox", "0 0 24 24");
+        icon.setAttribute("width", "24");
+        icon.setAttribute("height", "24");
+        icon.setAttribute("aria-hidden", "true");
+        const path = this.document.createElementNS(svgNamespace, "path");
+        path.setAttribute(
+            "d",
+            isMovedState ? "M3 4h18v16H3zM9 4v16M3 12h6M13 9h4M13 13h4" : "M3 4h18v16H3zM9 4v16M18 12h-6M15 9l-3 3 3 3"
+        );
+        path.setAttribute("fill", "none");
+        path.setAttribute("stroke", "currentColor");
+        path.setAttribute("stroke-width", "2");
+        path.setAttribute("stroke-linecap", "round");
+        path.setAttribute("stroke-linejoin", "round");
+        icon.appendChild(path);
+        return icon;
+    }
+
+    /**
+     * Starts a drag on the resize or width handle for mouse, touch or pen input.
+     * The pointer is captured so the drag keeps tracking outside the handle and the window.
+     * @param {PointerEvent} e
+     * @param {"x" | "y"} [axis="y"] - "y" resizes the split, "x" the beside column's width
+     */
+    startDrag(e, axis = "y") {
+        if (!this.isMoved || this.isDragging) return;
+        if (e.pointerType === "mouse" && e.button !== 0) return; // Primary mouse button only
+
+        const captureTarget = e.currentTarget || (axis === "x" ? this.widthHandle : this.resizeHandle);
+        this.dragAxis = axis;
+        if (axis === "y" && this.collapsedPane) {
+            // Dragging out of a collapsed state restores both lists, starting from the pointer
+            this.collapsedPane = null;
+            this.updateCollapseButtons();
+        }
+        this.isDragging = true;
+        this.activePointerId = e.pointerId;
+        this.dragCaptureTarget = captureTarget;
+        this.initialPointerY = e.clientY;
+        this.initialSidebarHeightPercentage = this.sidebarHeightPercentage;
+        this.initialMembersHeightPercentage = this.membersHeightPercentage;
+
+        try {
+            captureTarget.setPointerCapture(e.pointerId);
+        } catch (err) {
+            this._warn(`Could not capture pointer ${e.pointerId}:`, err.message);
+        }
+        captureTarget.addEventListener("pointermove", this.onPointerMoveHandler);
+        captureTarget.addEventListener("pointerup", this.onPointerUpHandler);
+        captureTarget.addEventListener("pointercancel", this.onDragCancelHandler);
+        captureTarget.addEventListener("lostpointercapture", this.onDragCancelHandler);
+        this.window.addEventListener("blur", this.onDragCancelHandler);
+
+        e.preventDefault();
+        this._log(`Started dragging resize handle (${e.pointerType}).`);
+    }
+
+    /**
+     * Ends the current drag, whatever stopped it (release, cancel, lost capture, window blur,
+     * layout change or plugin stop). Safe to call when no drag is active.
+     */
+    endDrag() {
+        const captureTarget = this.dragCaptureTarget;
+        if (captureTarget) {
+            captureTarget.removeEventListener("pointermove", this.onPointerMoveHandler);
+            captureTarget.removeEventListener("pointerup", this.onPointerUpHandler);
+            captureTarget.removeEventListener("pointercancel", this.onDragCancelHandler);
+            captureTarget.removeEventListener("lostpointercapture", this.onDragCancelHandler);
+            try {
+                if (this.activePointerId !== null && captureTarget.hasPointerCapture(this.activePointerId)) {
+                    captureTarget.releasePointerCapture(this.activePointerId);
+                }
+            } catch (err) {
+                // The pointer is already gone, nothing left to release
+            }
+        }
+        this.window.removeEventListener("blur", this.onDragCancelHandler);
+
+        const wasDragging = this.isDragging;
+        this.isDragging = false;
+        this.activePointerId = null;
+        this.dragCaptureTarget = null;
+        if (wasDragging) {
+            this._log(`Stopped dragging resize handle. Final heights saved.`);
+        }
+    }
+
+    // Pointer move handler for resizing
+    onPointerMove(e) {
+        if (!this.isDragging || e.pointerId !== this.activePointerId) return;
+
+        if (this.dragAxis === "x") {
+            const membersWrap = this.findAnchor("membersWrap");
+            if (!membersWrap) {
+                this._warn(`Missing membersWrap for width resize during pointermove.`);
+                return;
+            }
+            // The width handle sits on the column's right edge on either side
+            this.setMembersWidth(e.clientX - membersWrap.getBoundingClientRect().left);
+            return;
         }
 
-        // This function now only creates/re-attaches event listeners.
-        // Actual DOM appending/re-parenting is handled by applyCurrentLayoutState.
-        this._log(`addMoveButton finished. Custom elements are in memory with event listeners.`);
-    }
+        const sidebarList = this.findAnchor("sidebarList");
+        const userIDSection = this.findAnchor("userSection");
 
-    /** Helper to update the button's visual state (text, color) and wrappers' initial state **/
-    updateButtonVisualState(buttonElement, wrapperElement, subContainerElement, isMovedState) {
-        if (!buttonElement || !wrapperElement || !subContainerElement || !this.resizeHandle || !this.handleIndicator) {
-            this._warn(`updateButtonVisualState called with missing elements.`);
+        if (!sidebarList || !userIDSection) {
+            this._warn(`Missing elements for resize during pointermove.`);
             return;
         }
 
-        if (isMovedState) {
-            buttonElement.textContent = "Reset Layout";
-            buttonElement.style.backgroundColor = "#ED4245";
-            buttonElement.onmouseover = function () {
-                this.style.backgroundColor = "#C7383B";
-            };
-            buttonElement.onmouseout = function () {
-                this.style.backgroundColor = "#ED4245";
-            };
-            wrapperElement.style.backgroundColor = "#ED4245";
-        } else {
-            buttonElement.textContent = "Move";
-            buttonElement.style.backgroundColor = "#5865F2";
-            buttonElement.onmouseover = function () {
-                this.style.backgroundColor = "#4752C4";
-            };
-            buttonElement.onmouseout = function () {
-                this.style.backgroundColor = "#5865F2";
-            };
-            wrapperElement.style.backgroundColor = "#5865F2";
+        const plan = this.getLayoutPlan(sidebarList, userIDSection);
+        if (!plan || plan.mode !== "stacked") {
+            this._warn(`Total available height for panels is zero or negative during drag. Skipping resize.`);
+            return;
         }
 
-        // Removed display logic from here, it's handled in applyCurrentLayoutState
-        this._log(`Button visual state updated.`);
+        // setSplit clamps to MIN_HEIGHT_PERCENTAGE, and to the pixel range with pixel sizing
+        this.setSplit(LayoutEngine.getSplitFromPointer(plan.geometry, e.clientY, this.stackOrder));
     }
 
-    // New: Mouse move handler for resizing
-    onMouseMove(e) {
-        if (!this.isDragging) return;
+    /**
+     * Clamps a member column width to MIN_MEMBERS_WIDTH_PX and MAX_MEMBERS_WIDTH_PX.
+     * @param {number} widthPx
+     * @returns {number} Whole pixels
+     */
+    clampMembersWidth(widthPx) {
+        return Math.round(Math.max(this.MIN_MEMBERS_WIDTH_PX, Math.min(this.MAX_MEMBERS_WIDTH_PX, widthPx)));
+    }
 
-        const sidebarList = document.querySelector('[class*="sidebarList"]');
-        const userIDSection = document.querySelector('[class*="sidebarList"] ~ section');
+    /**
+     * Sets the beside column's width (clamped), saves it and reapplies.
+     * @param {number} widthPx
+     */
+    setMembersWidth(widthPx) {
+        this.membersWidthPx = this.clampMembersWidth(widthPx);
+        this.updateWidthHandleAria();
+        this.queueLayoutReapply();
+        this.saveLayoutState();
+        this._log(`Member column width saved: ${this.membersWidthPx}px.`);
+    }
 
-        if (!sidebarList || !userIDSection) {
-            this._warn(`Missing elements for resize during mousemove.`);
-            return;
-        }
+    /** Syncs the width handle's aria-value* attributes with the beside column's width (in px) **/
+    updateWidthHandleAria() {
+        if (!this.widthHandle) return;
+        this.widthHandle.setAttribute("aria-valuemin", String(this.MIN_MEMBERS_WIDTH_PX));
+        this.widthHandle.setAttribute("aria-valuemax", String(this.MAX_MEMBERS_WIDTH_PX));
+        this.widthHandle.setAttribute("aria-valuenow", String(this.membersWidthPx));
+        this.widthHandle.setAttribute("aria-valuetext", `Member list ${this.membersWidthPx} pixels wide`);
+    }
 
-        const sidebarListRect = sidebarList.getBoundingClientRect();
-        const userIDSectionRect = userIDSection.getBoundingClientRect();
+    /**
+     * Keyboard resizing on the focused width handle.
+     * Arrow keys change the width by WIDTH_STEP_PX, Home/End jump to the limits.
+     * @param {KeyboardEvent} e
+     */
+    onWidthHandleKeyDown(e) {
+        if (!this.isMoved) return;
+
+        const targets = {
+            ArrowLeft: this.membersWidthPx - this.WIDTH_STEP_PX,
+            ArrowRight: this.membersWidthPx + this.WIDTH_STEP_PX,
+            Home: this.MIN_MEMBERS_WIDTH_PX,
+            End: this.MAX_MEMBERS_WIDTH_PX
+        };
+        if (!(e.key in targets) || e.ctrlKey || e.altKey || e.metaKey) return;
+
+        e.preventDefault();
+        e.stopPropagation();
+        this.setMembersWidth(targets[e.key]);
+    }
 
-        const totalAvailableHeightForPanels = userIDSectionRect.top - sidebarListRect.top;
+    /** Syncs the resize handle's aria-value* attributes with the current split (in percent) **/
+    updateResizeHandleAria() {
+        if (!this.resizeHandle) return;
+        const minPercent = Math.round(this.MIN_HEIGHT_PERCENTAGE * 100);
+        const valueNow = Math.round(this.sidebarHeightPercentage * 100);
+        this.resizeHandle.setAttribute("aria-valuemin", String(minPercent));
+        this.resizeHandle.setAttribute("aria-valuemax", String(100 - minPercent));
+        this.resizeHandle.setAttribute("aria-valuenow", String(valueNow));
+        this.resizeHandle.setAttribute("aria-valuetext", `Channel list ${valueNow}%, member list ${100 - valueNow}%`);
+    }
 
-        if (totalAvailableHeightForPanels <= 0) {
-            this._warn(`Total available height for panels is zero or negative during drag. Skipping resize.`);
-            return;
+    /**
+     * CSS transition for the animated height changes, or "none" while dragging (the handle must
+     * follow the pointer), when animations are off, or when the user prefers reduced motion.
+     * @returns {string}
+     */
+    getHeightTransition() {
+        const prefersReducedMotion =
+            this.window.matchMedia && this.window.matchMedia("(prefers-reduced-motion: reduce)").matches;
+        if (!this.animateTransitions || this.isDragging || prefersReducedMotion) {
+            return "none";
         }
+        const timing = `${this.TRANSITION_DURATION_MS}ms ease`;
+        return `height ${timing}, top ${timing}, margin-top ${timing}`;
+    }
 
-        let newSidebarHeightPx = e.clientY - sidebarListRect.top;
+    /**
+     * Collapses one list to its header strip, or restores it if it is already collapsed.
+     * @param {"sidebar" | "members"} pane
+     */
+    toggleCollapsedPane(pane) {
+        if (!this.isMoved) return;
+        this.collapsedPane = this.collapsedPane === pane ? null : pane;
+        this.updateCollapseButtons();
+        this.saveLayoutState();
+        this.queueLayoutReapply();
+        this._log(`Collapsed pane set to ${this.collapsedPane}.`);
+    }
 
-        let newSidebarPercentage = newSidebarHeightPx / totalAvailableHeightForPanels;
-        let newMembersPercentage = 1.0 - newSidebarPercentage;
+    /** Syncs the chevrons' direction, labels and aria-expanded with the collapsed pane **/
+    updateCollapseButtons() {
+        const chevron = (pointsUp) => `
+            <svg width="12" height="8" viewBox="0 0 12 8" aria-hidden="true">
+                <path d="${pointsUp ? "M1 7l5-5 5 5" : "M1 1l5 5 5-5"}" fill="none" stroke="currentColor" stroke-width="2"/>
+            </svg>`;
+        const update = (collapseButton, isCollapsed, pointsUp, label) => {
+            // Only touch the DOM on a real change; rewriting the icon on every pass would feed the observer
+            const state = `${isCollapsed}-${pointsUp}`;
+            if (!collapseButton || collapseButton.dataset.state === state) return;
+            collapseButton.dataset.state = state;
+            collapseButton.innerHTML = chevron(pointsUp);
+            collapseButton.setAttribute("aria-label", label);
+            collapseButton.setAttribute("aria-expanded", String(!isCollapsed));
+            collapseButton.title = label;
+        };
 
-        newSidebarPercentage = Math.max(
-            this.MIN_HEIGHT_PERCENTAGE,
-            Math.min(1 - this.MIN_HEIGHT_PERCENTAGE, newSidebarPercentage)
+        // Each chevron points the way the handle will move: collapsing the upper list moves it up,
+        // collapsing the lower one moves it down, and expanding reverses that
+        const membersAbove = this.stackOrder === "above";
+        const isSidebarCollapsed = this.collapsedPane === "sidebar";
+        update(
+            this.collapseSidebarButton,
+            isSidebarCollapsed,
+            isSidebarCollapsed === membersAbove,
+            isSidebarCollapsed ? "Expand channels" : "Collapse channels"
         );
-        newMembersPercentage = Math.max(
-            this.MIN_HEIGHT_PERCENTAGE,
-            Math.min(1 - this.MIN_HEIGHT_PERCENTAGE, newMembersPercentage)
+        const isMembersCollapsed = this.collapsedPane === "members";
+        update(
+            this.collapseMembersButton,
+            isMembersCollapsed,
+            isMembersCollapsed !== membersAbove,
+            isMembersCollapsed ? "Expand members" : "Collapse members"
         );
+    }
 
-        const sum = newSidebarPercentage + newMembersPercentage;
-        if (Math.abs(sum - 1.0) > 0.001) {
-            const error = sum - 1.0;
-            newSidebarPercentage -= error / 2;
-            newMembersPercentage -= error / 2;
+    /**
+     * Sign of the change in the channel list's share when the handle moves down: +1 when the member
+     * list is below the channel list, -1 when it is above.
+     * @returns {number}
+     */
+    getSplitDirection() {
+        return this.stackOrder === "above" ? -1 : 1;
+    }
+
+    /**
+     * Keyboard resizing on the focused handle.
+     * Arrow keys move the split by one nudge step, Page Up/Down by two, Home/End to the limits.
+     * @param {KeyboardEvent} e
+     */
+    onResizeHandleKeyDown(e) {
+        if (!this.isMoved) return;
+
+        // Keys move the handle on screen; with the member list above, moving it down shrinks the channel list
+        const step = this.NUDGE_STEP_PERCENTAGE * this.getSplitDirection();
+        const top = this.getSplitDirection() > 0 ? this.MIN_HEIGHT_PERCENTAGE : 1 - this.MIN_HEIGHT_PERCENTAGE;
+        const targets = {
+            ArrowUp: this.sidebarHeightPercentage - step,
+            ArrowDown: this.sidebarHeightPercentage + step,
+            PageUp: this.sidebarHeightPercentage - step * 2,
+            PageDown: this.sidebarHeightPercentage + step * 2,
+            Home: top,
+            End: 1 - top
+        };
+        if (!(e.key in targets) || e.ctrlKey || e.altKey || e.metaKey) return;
+
+        e.preventDefault();
+        e.stopPropagation();
+        this.setSplit(targets[e.key]);
+    }
+
+    /**
+     * Flips between the moved and original layout, saves it and reapplies. In automatic mode the flip
+     * is a temporary override rather than a saved state.
+     * Shared by the Move button, the channel header button and the toggle hotkey.
+     */
+    toggleMovedState() {
+        this.isMoved = !this.isMoved;
+        if (this.autoMoveEnabled) {
+            this.autoMoveOverride = this.isMoved; // Until the window enters another width range
         }
+        this.saveLayoutState();
+        this.updateHeaderButtonState(); // Also while the member list, and with it the Move button, is hidden
+        this.queueLayoutReapply(); // Trigger re-application
+        this._log(`Layout toggled: isMoved = ${this.isMoved}.`);
+    }
 
-        this.sidebarHeightPercentage = parseFloat(newSidebarPercentage.toFixed(3));
-        this.membersHeightPercentage = parseFloat(newMembersPercentage.toFixed(3));
+    /**
+     * Sets the sidebar share of the column (clamped), saves it and reapplies. With pixel sizing the
+     * pinned list's height in px is set instead, clamped to its pixel range, and the share follows it.
+     * Shared by dragging, the nudge/preset/reset hotkeys and anything else that moves the split.
+     * @param {number} sidebarPercentage - Requested sidebar share (0-1)
+     */
+    setSplit(sidebarPercentage) {
+        const pixelSizing = this.getPixelSizing();
+        const measurements = this.lastMeasurements;
+        const availableHeight = measurements ? measurements.userSectionTop - measurements.top : 0;
+        if (pixelSizing && availableHeight > 0) {
+            // The pinned list's share becomes its height in px, clamped to the pixel range
+            const paneShare = pixelSizing.pane === "sidebar" ? sidebarPercentage : 1 - sidebarPercentage;
+            const pixelHeight = LayoutEngine.clampPixelHeight(
+                paneShare * availableHeight,
+                availableHeight,
+                pixelSizing
+            );
+            this.pixelHeightPx = Math.round(pixelHeight);
+            const pixelShare = this.pixelHeightPx / availableHeight;
+            sidebarPercentage = pixelSizing.pane === "sidebar" ? pixelShare : 1 - pixelShare;
+        }
+        const heights = this.clampHeightPercentages(sidebarPercentage);
+        this.sidebarHeightPercentage = heights.sidebar;
+        this.membersHeightPercentage = heights.members;
+        this.collapsedPane = null; // Picking a split always shows both lists
+        this.updateResizeHandleAria();
+        this.updateCollapseButtons();
 
         this.queueLayoutReapply(); // Use queueLayoutReapply for all external triggers
 
-        BdApi.saveData(this.pluginId, this.dataKey, {
-            sidebar: this.sidebarHeightPercentage,
-            members: this.membersHeightPercentage
-        });
+        this.saveLayoutState();
         this._log(
-            `Heights saved during drag: Sidebar = ${this.sidebarHeightPercentage.toFixed(3)}%, Members = ${this.membersHeightPercentage.toFixed(3)}%.`
+            `Heights saved: Sidebar = ${this.sidebarHeightPercentage.toFixed(3)}%, Members = ${this.membersHeightPercentage.toFixed(3)}%.`
         );
     }
 
-    // New: Mouse up handler to stop dragging
-    onMouseUp() {
-        this.isDragging = false;
-        window.removeEventListener("mousemove", this.onMouseMoveHandler);
-        window.removeEventListener("mouseup", this.onMouseUpHandler);
-        this._log(`Stopped dragging resize handle. Final heights saved.`);
+    /**
+     * Double-click on the handle: restores the default split, or the saved preset if the user
+     * picked that in settings and has saved one.
+     */
+    restoreSplitFromDoubleClick() {
+        if (!this.isMoved) return;
+        const savedPreset = this.config ? this.config.savedPreset : null;
+        if (this.doubleClickAction === "savedPreset" && savedPreset !== null) {
+            this.setSplit(savedPreset);
+        } else {
+            this.setSplit(this.DEFAULT_SIDEBAR_PERCENTAGE);
+        }
+    }
+
+    /** Remembers the current split as the preset offered by the context menu and double-click **/
+    saveCurrentSplitAsPreset() {
+        this.config.savedPreset = this.sidebarHeightPercentage;
+        this.saveConfig();
+        this._log(`Saved split preset: Sidebar = ${this.sidebarHeightPercentage.toFixed(3)}%.`);
+    }
+
+    /**
+     * Opens the resize handle's context menu through BdApi, so it looks like Discord's own menus.
+     * @param {MouseEvent} e
+     */
+    openResizeHandleContextMenu(e) {
+        if (!this.isMoved) return;
+        e.preventDefault();
+        e.stopPropagation();
+
+        const formatSplit = (sidebar) =>
+            `Channels ${Math.round(sidebar * 100)}% / Members ${Math.round((1 - sidebar) * 100)}%`;
+        const presetItems = this.PRESET_SIDEBAR_PERCENTAGES.map((sidebar) => ({
+            label: formatSplit(sidebar),
+            id: `mlm-preset-${Math.round(sidebar * 100)}`,
+            action: () => this.setSplit(sidebar)
+        }));
+        if (this.config.savedPreset !== null) {
+            presetItems.push({
+                label: `Saved: ${formatSplit(this.config.savedPreset)}`,
+                id: "mlm-preset-saved",
+                action: () => this.setSplit(this.config.savedPreset)
+            });
+        }
+
+        const menu = BdApi.ContextMenu.buildMenu([
+            ...presetItems,
+            {
+                label: "Save current split as preset",
+                id: "mlm-save-preset",
+                action: () => this.saveCurrentSplitAsPreset()
+            },
+            { type: "separator" },
+            {
+                label: this.collapsedPane === "sidebar" ? "Expand channels" : "Collapse channels",
+                id: "mlm-collapse-channels",
+                action: () => this.toggleCollapsedPane("sidebar")
+            },
+            {
+                label: this.collapsedPane === "members" ? "Expand members" : "Collapse members",
+                id: "mlm-collapse-members",
+                action: () => this.toggleCollapsedPane("members")
+            },
+            { type: "separator" },
+            {
+                label: "Reset layout",
+                id: "mlm-reset-layout",
+                action: () => this.restoreSplitFromDoubleClick() // Same reset as double-clicking the handle
+            }
+        ]);
+        BdApi.ContextMenu.open(e, menu);
+    }
+
+    /**
+     * Checks whether a keydown event matches a keybind.
+     * Modifiers must match exactly; the main key is compared by key name. The physical key code is a
+     * fallback for digit keys that type a character of their own (Digit1 types "&" on AZERTY) and for
+     * letter keys that type none (dead keys, IME input). It is skipped while AltGr is held, so AltGr+0
+     * typing "}" on a German layout (reported as Ctrl+Alt on Windows) does not match.
+     * @param {KeyboardEvent} e
+     * @param {string[]} keybind
+     * @returns {boolean}
+     */
+    _matchesKeybind(e, keybind) {
+        if (!keybind || !keybind.length) return false;
+
+        const modifiers = { Control: "ctrlKey", Shift: "shiftKey", Alt: "altKey", Meta: "metaKey" };
+        const mainKeys = keybind.filter((key) => !modifiers[key]);
+        if (mainKeys.length !== 1) return false;
+
+        for (const [modifier, eventProperty] of Object.entries(modifiers)) {
+            if (keybind.includes(modifier) !== e[eventProperty]) return false;
+        }
+
+        const mainKey = mainKeys[0].toLowerCase();
+        if (e.key && e.key.toLowerCase() === mainKey) return true;
+        if (e.getModifierState && e.getModifierState("AltGraph")) return false;
+        if (e.code === `Digit${mainKey}` || e.code === `Numpad${mainKey}`) return true;
+        return !(e.key && e.key.length === 1) && e.code === `Key${mainKey.toUpperCase()}`;
+    }
+
+    /** Global keydown handler for the layout hotkeys **/
+    onKeyDown(e) {
+        if (!this.hotkeysEnabled) return;
+        // Keys pressed while typing belong to the text field
+        const focused = this.document.activeElement;
+        if (focused && (focused.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(focused.tagName))) return;
+
+        const nudgeStep = this.NUDGE_STEP_PERCENTAGE * this.getSplitDirection(); // Up and down follow the handle
+
+        const actions = [
+            [this.keybindToggle, () => this.toggleMovedState()],
+            [this.keybindNudgeUp, () => this.setSplit(this.sidebarHeightPercentage - nudgeStep)],
+            [this.keybindNudgeDown, () => this.setSplit(this.sidebarHeightPercentage + nudgeStep)],
+            [this.keybindPreset25, () => this.setSplit(this.PRESET_SIDEBAR_PERCENTAGES[0])],
+            [this.keybindPreset50, () => this.setSplit(this.PRESET_SIDEBAR_PERCENTAGES[1])],
+            [this.keybindPreset75, () => this.setSplit(this.PRESET_SIDEBAR_PERCENTAGES[2])],
+            [this.keybindReset, () => this.setSplit(this.DEFAULT_SIDEBAR_PERCENTAGE)]
+        ];
+
+        for (const [keybind, action] of actions) {
+            if (!this._matchesKeybind(e, keybind)) continue;
+
+            // Only the toggle works in the original layout; the split has nothing to resize there
+            const isToggle = keybind === this.keybindToggle;
+            if (!isToggle && !this.isMoved) return;
+            if (isToggle && e.repeat) return; // Holding the toggle down shouldn't flicker the layout
+
+            e.preventDefault();
+            e.stopPropagation();
+            action();
+            this._log(`Hotkey handled: ${keybind.join("+")}.`);
+            return;
+        }
+    }
+
+    /**
+     * Clamps a sidebar share of the column against MIN_HEIGHT_PERCENTAGE and derives the members share.
+     * @param {number} sidebarPercentage - Requested sidebar share (0-1)
+     * @returns {{sidebar: number, members: number}} Percentages rounded to 3 decimals, summing to 1
+     */
+    clampHeightPercentages(sidebarPercentage) {
+        return LayoutEngine.clampSplit(sidebarPercentage, this.MIN_HEIGHT_PERCENTAGE);
+    }
+
+    // Pointer up handler to stop dragging
+    onPointerUp(e) {
+        if (e.pointerId !== this.activePointerId) return;
+        this.endDrag();
     }
 
     /**
      * Sets up the MutationObserver to watch for relevant DOM changes.
+     * It is scoped to the layout containers by attachLayoutObserver and follows them when they are replaced.
      */
     setupObserver() {
         if (this.observer) {
             this.observer.disconnect();
             this._log(`Previous MutationObserver disconnected before setup.`);
         }
+        this.observedLayoutNodes = [];
+        this.memberListAbsenceAnchor = null;
 
-        this.observer = new MutationObserver((mutationsList) => {
+        this.observer = new this.window.MutationObserver((mutationsList) => {
             let layoutReapplyNeeded = false; // Flag to indicate if a layout re-application is necessary
+            let structureChanged = false; // Flag to indicate the observed containers must be re-attached
+            const styledAnchors = new Set(); // Layout elements whose inline style was rewritten in this batch
 
             for (const mutation of mutationsList) {
                 const targetElement = mutation.target;
 
-                // Check for attribute changes on relevant elements (like inline styles)
+                // Check for attribute changes on relevant elements (like inline styles written by Discord)
                 if (mutation.type === "attributes" && mutation.attributeName === "style") {
-                    if (targetElement.matches('[class*="membersWrap"]')) {
-                        this._log(`Observer: DETECTED Style Change on membersWrap.`);
-                        layoutReapplyNeeded = true;
-                    } else if (targetElement.matches('[class*="sidebarList"]')) {
-                        this._log(`Observer: DETECTED Style Change on sidebarList.`);
-                        layoutReapplyNeeded = true;
-                    } else if (
-                        targetElement.id === "bd-members-list-container" ||
-                        targetElement.id === "bd-move-button-wrapper" ||
-                        targetElement.id === "bd-resize-handle"
-                    ) {
-                        this._log(`Observer: DETECTED Style Change on our custom element (${targetElement.id}).`);
-                        layoutReapplyNeeded = true;
+                    const anchor = ["membersWrap", "sidebarList"].find((anchor) =>
+                        this.matchesAnchor(targetElement, anchor)
+                    );
+                    if (anchor) {
+                        this._log(`Observer: DETECTED Style Change on ${anchor}.`);
+                        styledAnchors.add(anchor);
                     }
                 }
                 // Check for childList changes (appearance/disappearance of elements)
                 else if (mutation.type === "childList") {
-                    // Any childList mutation indicates a structural change that might require layout re-application
-                    layoutReapplyNeeded = true;
-
-                    // Check removed nodes specifically for membersWrap
-                    for (const node of mutation.removedNodes) {
-                        if (node.nodeType === 1 && node.matches('[class*="membersWrap"]')) {
-                            // Element node
-                            this._log(`Observer: DETECTED membersWrap REMOVED from removedNodes list.`);
-                            // Explicit removal detected, will trigger absence check later.
-                        }
+                    // membersWrap's direct children are our UI elements and Discord's list container
+                    if (this.matchesAnchor(targetElement, "membersWrap")) {
+                        this._log(`Observer: DETECTED child change inside membersWrap.`);
+                        layoutReapplyNeeded = true;
+                        continue;
                     }
-                    // Check added nodes for relevant elements
-                    for (const node of mutation.addedNodes) {
-                        if (node.nodeType === 1) {
-                            // Element node
-                            if (node.matches('[class*="membersWrap"]')) {
-                                this._log(`Observer: DETECTED membersWrap ADDED.`);
-                                // If it was just added, it's not "absent" anymore. Clear any pending absence timer.
-                                if (this.memberListAbsenceTimer) {
-                                    clearTimeout(this.memberListAbsenceTimer);
-                                    this.memberListAbsenceTimer = null;
-                                    this._log(
-                                        `MemberListAbsence: Cleared absence check timer because membersWrap ADDED.`
-                                    );
-                                }
-                            }
-                            // Also check if critical elements are inside an added subtree
-                            if (
-                                node.querySelector('[class*="membersWrap"]') ||
-                                node.querySelector('[class*="sidebarList"]') ||
-                                node.querySelector("#bd-members-list-container")
-                            ) {
-                                this._log(`Observer: DETECTED critical element within added subtree.`);
-                            }
+
+                    // Elsewhere only nodes that are, or hold, one of the layout elements matter.
+                    // Everything else (messages, typing indicators, popouts) is ignored.
+                    for (const node of [...mutation.addedNodes, ...mutation.removedNodes]) {
+                        if (node.nodeType !== 1) continue; // Element nodes only
+                        if (this.observedLayoutNodes.includes(node) || this._holdsLayoutElement(node)) {
+                            this._log(`Observer: DETECTED layout container added or removed.`);
+                            layoutReapplyNeeded = true;
+                            structureChanged = true;
+                            break;
                         }
                     }
                 }
             }
 
+            // Inline style rewrites are answered unless enforcement is suspended or they count as a fight
+            for (const anchor of styledAnchors) {
+                if (this.noteStyleMutation(anchor)) layoutReapplyNeeded = true;
+            }
+
+            // The header is re-rendered on its own (e.g. when switching channels); put the button back
+            if (this.headerButtonEnabled && !this.isHeaderButtonPlaced() && this.findAnchor("headerToolbar")) {
+                this._log(`Observer: Header button missing from the toolbar. Re-injecting.`);
+                this.ensureHeaderButton();
+                this.attachLayoutObserver(); // The toolbar may be a new element
+            }
+
             // After processing all mutations in the batch:
-            // 1. If any relevant layout change was detected, queue a throttled re-application.
+            // 1. Follow replaced containers, then queue a throttled re-application if anything relevant changed.
+            if (structureChanged) {
+                this.attachLayoutObserver();
+            }
             if (layoutReapplyNeeded) {
                 this._log(`Observer: Layout re-application deemed needed. Queueing throttled re-application.`);
                 this.queueLayoutReapply();
@@ -868,40 +3972,119 @@ module.exports = class MoveMembersWrap {
 
             // 2. Separately, check if membersWrap is currently absent from the DOM.
             // This catches cases where it's removed indirectly (e.g., parent removed).
-            const currentMembersWrap = document.querySelector('[class*="membersWrap"]');
+            if (!structureChanged && !layoutReapplyNeeded) return;
+            const currentMembersWrap = this.findAnchor("membersWrap");
             if (!currentMembersWrap) {
                 this._log(`Observer: membersWrap is currently NOT found in DOM. Triggering absence handler.`);
                 this.handleMemberListAbsence();
-            } else {
+            } else if (this.memberListAbsenceTimer) {
                 // If membersWrap IS present, ensure any pending absence timer is cleared.
                 // This covers cases where it briefly disappeared and then reappeared before the timer fired.
-                if (this.memberListAbsenceTimer) {
-                    clearTimeout(this.memberListAbsenceTimer);
-                    this.memberListAbsenceTimer = null;
-                    this._log(`MemberListAbsence: Cleared absence check timer because membersWrap is now PRESENT.`);
-                }
+                clearTimeout(this.memberListAbsenceTimer);
+                this.memberListAbsenceTimer = null;
+                this._log(`MemberListAbsence: Cleared absence check timer because membersWrap is now PRESENT.`);
             }
         });
 
-        this.observer.observe(document.body, {
-            childList: true,
-            subtree: true,
-            attributes: true,
-            attributeFilter: ["style"]
-        });
-        this._log(`MutationObserver started observing document.body.`);
+        this.attachLayoutObserver();
+    }
+
+    /**
+     * Whether a node is, or contains, membersWrap or sidebarList.
+     * @param {Element} node
+     * @returns {boolean}
+     * @private
+     */
+    _holdsLayoutElement(node) {
+        return (
+            this.matchesAnchor(node, "membersWrap") ||
+            this.matchesAnchor(node, "sidebarList") ||
+            !!this.findAnchor("membersWrap", node) ||
+            !!this.findAnchor("sidebarList", node)
+        );
+    }
+
+    /**
+     * Points the MutationObserver at the app-layout containers instead of all of this.document.body:
+     * - every ancestor of membersWrap and sidebarList, for direct child changes only, so replacing
+     *   any of these containers is noticed without seeing anything that happens inside chat;
+     * - membersWrap itself, for its direct children and inline styles, and sidebarList for inline styles;
+     * - while membersWrap is missing, the closest container it was last seen in (with its subtree), so
+     *   its return is noticed wherever Discord re-renders it.
+     * Re-attaches only when this set of nodes changed since the last call.
+     */
+    attachLayoutObserver() {
+        if (!this.observer) return;
+
+        const membersWrap = this.findAnchor("membersWrap");
+        const sidebarList = this.findAnchor("sidebarList");
+        const targets = new Map(); // Node -> MutationObserver options
+
+        const addAncestors = (element) => {
+            for (let node = element; node && node !== this.document.documentElement; node = node.parentElement) {
+                targets.set(node, { childList: true });
+            }
+        };
+        if (membersWrap) {
+            this.lastMembersWrapParent = membersWrap.parentElement;
+            addAncestors(membersWrap.parentElement);
+        }
+        if (sidebarList) {
+            addAncestors(sidebarList.parentElement);
+        }
+        // The toolbar and its ancestors, so a header re-render that drops our button is seen
+        const headerToolbar = this.headerButtonEnabled ? this.findAnchor("headerToolbar") : null;
+        if (headerToolbar) {
+            addAncestors(headerToolbar);
+        }
+
+        let absenceAnchor = null;
+        if (!membersWrap) {
+            // The last parent may have been removed along with it; climb to what is still in the document
+            absenceAnchor = this.lastMembersWrapParent;
+            while (absenceAnchor && !absenceAnchor.isConnected) {
+                absenceAnchor = absenceAnchor.parentElement;
+            }
+            absenceAnchor = absenceAnchor || this.document.body;
+            targets.set(absenceAnchor, { childList: true, subtree: true });
+        }
+        // Set after the ancestors; observing a node again would replace its options rather than merge them
+        if (membersWrap) {
+            targets.set(membersWrap, { childList: true, attributes: true, attributeFilter: ["style"] });
+        }
+        if (sidebarList) {
+            const options = targets.get(sidebarList) || {};
+            targets.set(sidebarList, { ...options, attributes: true, attributeFilter: ["style"] });
+        }
+
+        const nodes = [...targets.keys()];
+        const isSameSet =
+            nodes.length === this.observedLayoutNodes.length &&
+            nodes.every((node, index) => node === this.observedLayoutNodes[index]);
+        if (isSameSet && this.memberListAbsenceAnchor === absenceAnchor) return;
+
+        this.observer.disconnect();
+        for (const [node, options] of targets) {
+            this.observer.observe(node, options);
+        }
+        this.observedLayoutNodes = nodes;
+        this.memberListAbsenceAnchor = absenceAnchor;
+        this._log(
+            `MutationObserver attached to ${nodes.length} layout containers${absenceAnchor ? " (watching for the member list to return)" : ""}.`
+        );
     }
 
     /**
      * Throttles calls to applyCurrentLayoutState.
      * Ensures applyCurrentLayoutState is called immediately on the first trigger,
-     * then at most once within the 'reapplyThrottleDelay' period for subsequent triggers,
+     * then at most once within the 'reapplyThrottleDelay' period (longer while backing off, see
+     * getReapplyThrottleDelay) for subsequent triggers,
      * with one pending call allowed to execute after the cooldown if triggered during it.
      */
     queueLayoutReapply() {
         // Clear any previous animation frame requests for immediate execution
         if (this.animationFrameId) {
-            cancelAnimationFrame(this.animationFrameId);
+            this.window.cancelAnimationFrame(this.animationFrameId);
             this.animationFrameId = null;
         }
 
@@ -909,18 +4092,19 @@ module.exports = class MoveMembersWrap {
             // If currently in a throttle cooldown period, just mark that a call is pending
             // This ensures only one future call is queued for the end of the current cooldown
             this.pendingThrottleCall = true;
-            this._log(`Throttling: Call received during cooldown, pending call marked.`);
+            this._debug(`Throttling: Call received during cooldown, pending call marked.`);
             return; // Exit, do not schedule another immediate or timeout
         }
 
         // If not throttling, execute immediately and start cooldown
-        this._log(`Throttling: Executing immediately.`);
+        this._debug(`Throttling: Executing immediately.`);
         this.isThrottling = true; // Enter throttling mode
         this.pendingThrottleCall = false; // Reset pending call flag for this new throttle window
 
         // Schedule the function execution on the next animation frame for smoother visual updates
-        this.animationFrameId = requestAnimationFrame(() => {
+        this.animationFrameId = this.window.requestAnimationFrame(() => {
             this.lastLayoutApplyTimestamp = Date.now(); // Record time of actual execution
+            this.diagnosticsCounters.reapplies++;
             this.applyCurrentLayoutState(); // No longer passes isReportingOnly
             this.animationFrameId = null; // Clear animation frame ID after execution
         });
@@ -934,40 +4118,50 @@ module.exports = class MoveMembersWrap {
             if (this.pendingThrottleCall) {
                 // If a call was pending during the cooldown, immediately trigger another call.
                 // This new call will start a new throttle cycle.
-                this._log(`Throttling: Cooldown ended, processing pending call.`);
+                this._debug(`Throttling: Cooldown ended, processing pending call.`);
                 this.pendingThrottleCall = false; // Reset for the next cycle before re-queueing
                 this.queueLayoutReapply(); // Re-queue to execute the pending call (no isReportingOnly)
             } else {
-                this._log(`Throttling: Cooldown ended, no pending calls.`);
+                this._debug(`Throttling: Cooldown ended, no pending calls.`);
             }
-        }, this.reapplyThrottleDelay);
+        }, this.getReapplyThrottleDelay());
     }
 
     /**
      * Failsafe check function. Periodically checks layout and button integrity.
+     * It is a rare safety net: the MutationObserver and ResizeObserver handle all regular changes.
+     * Deviations are counted per property; one that survives several checks in a row is treated as a
+     * fight with something else on the page (see handleFightLoop).
      * This always triggers an *actual* layout application.
      */
     checkAndReapplyLayout() {
+        if (this.enforcementSuspended) {
+            this._debug(`Failsafe: Enforcement suspended for this session. Skipping check.`);
+            return;
+        }
+        this.diagnosticsCounters.failsafeRuns++;
+        this.checkHeaderButton(); // Before the member list checks; the header button works without it
+
         // Defensive check: if core Discord elements aren't present, return.
-        const currentMembersWrap = document.querySelector('[class*="membersWrap"]');
+        const currentMembersWrap = this.findAnchor("membersWrap");
         if (!currentMembersWrap) {
             this._warn(`Failsafe: membersWrap not found. Skipping failsafe checks.`);
             return;
         }
 
-        const currentSidebarList = document.querySelector('[class*="sidebarList"]');
+        const currentSidebarList = this.findAnchor("sidebarList");
         if (!currentSidebarList) {
             this._warn(`Failsafe: sidebarList not found. Skipping failsafe checks.`);
             return;
         }
 
-        const currentUserIDSection = document.querySelector('[class*="sidebarList"] ~ section');
+        const currentUserIDSection = this.findAnchor("userSection");
         if (!currentUserIDSection) {
             this._warn(`Failsafe: userIDSection not found. Skipping failsafe checks.`);
             return;
         }
 
-        const currentMembersListContainer = currentMembersWrap.querySelector('[class*="members"]');
+        const currentMembersListContainer = this.findAnchor("membersListContainer", currentMembersWrap);
         if (!currentMembersListContainer) {
             this._warn(`Failsafe: membersListContainer not found within membersWrap. Skipping failsafe checks.`);
             return;
@@ -984,313 +4178,194 @@ module.exports = class MoveMembersWrap {
 
         // We only check for presence in DOM and correct display state here,
         // as parentage is managed by applyCurrentLayoutState
-        const actualWrapperDiv = document.querySelector("#bd-move-button-wrapper");
-        const actualResizeHandle = document.querySelector("#bd-resize-handle");
+        const actualWrapperDiv = this.document.querySelector("#bd-move-button-wrapper");
+        const actualResizeHandle = this.document.querySelector("#bd-resize-handle");
+        const actualWidthHandle = this.document.querySelector("#bd-width-handle");
 
-        let needsReapply = false;
-        let warnings = [];
+        const deviations = []; // {property, message}: what deviated, and the full description
+        const report = (property, message) => deviations.push({ property, message: `Failsafe: ${message}` });
 
         const PIXEL_TOLERANCE = 0.1;
 
-        const compareFloats = (val1, val2, tolerance) => {
-            return Math.abs(val1 - val2) < tolerance;
-        };
-
         // --- Presence and Visibility Checks for plugin UI elements ---
-        if (this.isMoved) {
+        if (this.isMoved && this.placementMode === "beside") {
+            if (!actualWrapperDiv || actualWrapperDiv.parentNode !== currentMembersWrap) {
+                report(
+                    "button wrapper placement",
+                    "BESIDE state - Button wrapper missing or not a child of membersWrap."
+                );
+            }
+            if (!actualWidthHandle || actualWidthHandle.parentNode !== currentMembersWrap) {
+                report("width handle placement", "BESIDE state - Width handle missing or not a child of membersWrap.");
+            }
+            if (actualResizeHandle && actualResizeHandle.parentNode) {
+                report("resize handle placement", "BESIDE state - Resize handle unexpectedly found in DOM.");
+            }
+            if (actualWrapperDiv && actualWrapperDiv.style.display !== "flex") {
+                report(
+                    "button wrapper display",
+                    `BESIDE state - Button wrapper expected display 'flex', got '${actualWrapperDiv.style.display}'.`
+                );
+            }
+        } else if (this.isMoved) {
+            if (actualWidthHandle && actualWidthHandle.parentNode) {
+                report("width handle placement", "MOVED state - Width handle unexpectedly found in DOM.");
+            }
             if (!actualWrapperDiv || actualWrapperDiv.parentNode !== currentMembersWrap) {
-                warnings.push("Failsafe: MOVED state - Button wrapper missing or not a child of membersWrap.");
-                needsReapply = true;
+                report(
+                    "button wrapper placement",
+                    "MOVED state - Button wrapper missing or not a child of membersWrap."
+                );
             }
             if (!actualResizeHandle || actualResizeHandle.parentNode !== currentMembersWrap) {
-                warnings.push("Failsafe: MOVED state - Resize handle missing or not a child of membersWrap.");
-                needsReapply = true;
+                report("resize handle placement", "MOVED state - Resize handle missing or not a child of membersWrap.");
+            } else if (
+                this.stackOrder === "above"
+                    ? currentMembersWrap.lastElementChild !== actualResizeHandle
+                    : currentMembersWrap.firstElementChild !== actualResizeHandle
+            ) {
+                report(
+                    "resize handle placement",
+                    `MOVED state - Resize handle not on the edge facing the channel list (${this.stackOrder}).`
+                );
             }
             if (
                 actualWrapperDiv &&
                 (!actualWrapperDiv.querySelector("#bd-move-button-sub-wrapper") ||
                     !actualWrapperDiv.querySelector("#bd-move-members-button"))
             ) {
-                warnings.push("Failsafe: MOVED state - Button wrapper's children missing.");
-                needsReapply = true;
+                report("button wrapper contents", "MOVED state - Button wrapper's children missing.");
             }
-            if (actualResizeHandle && !actualResizeHandle.querySelector("div")) {
-                warnings.push("Failsafe: MOVED state - Resize handle's indicator missing.");
-                needsReapply = true;
+            if (actualResizeHandle && !actualResizeHandle.querySelector(".bd-mlm-handle-indicator")) {
+                report("resize handle contents", "MOVED state - Resize handle's indicator missing.");
             }
 
             if (actualResizeHandle && actualResizeHandle.style.display !== "flex") {
-                warnings.push(
-                    `Failsafe: MOVED state - Resize handle expected display 'flex', got '${actualResizeHandle.style.display}'.`
+                report(
+                    "resize handle display",
+                    `MOVED state - Resize handle expected display 'flex', got '${actualResizeHandle.style.display}'.`
                 );
-                needsReapply = true;
             }
             if (actualWrapperDiv && actualWrapperDiv.style.display !== "flex") {
-                warnings.push(
-                    `Failsafe: MOVED state - Button wrapper expected display 'flex', got '${actualWrapperDiv.style.display}'.`
+                report(
+                    "button wrapper display",
+                    `MOVED state - Button wrapper expected display 'flex', got '${actualWrapperDiv.style.display}'.`
                 );
-                needsReapply = true;
             }
         } else {
             // Not moved state (Original Layout)
             if (!actualWrapperDiv || actualWrapperDiv.parentNode !== currentMembersListContainer) {
-                warnings.push(
-                    "Failsafe: ORIGINAL state - Button wrapper missing or not a child of membersListContainer."
+                report(
+                    "button wrapper placement",
+                    "ORIGINAL state - Button wrapper missing or not a child of membersListContainer."
                 );
-                needsReapply = true;
             }
             // Resize handle should NOT be present in the DOM for original state
             if (actualResizeHandle && actualResizeHandle.parentNode) {
-                warnings.push("Failsafe: ORIGINAL state - Resize handle unexpectedly found in DOM.");
-                needsReapply = true;
+                report("resize handle placement", "ORIGINAL state - Resize handle unexpectedly found in DOM.");
             }
             if (
                 actualWrapperDiv &&
                 (!actualWrapperDiv.querySelector("#bd-move-button-sub-wrapper") ||
                     !actualWrapperDiv.querySelector("#bd-move-members-button"))
             ) {
-                warnings.push("Failsafe: ORIGINAL state - Button wrapper's children missing.");
-                needsReapply = true;
+                report("button wrapper contents", "ORIGINAL state - Button wrapper's children missing.");
             }
 
             if (actualWrapperDiv && actualWrapperDiv.style.display !== "flex") {
-                warnings.push(
-                    `Failsafe: ORIGINAL state - Button wrapper expected display 'flex', got '${actualWrapperDiv.style.display}'.`
+                report(
+                    "button wrapper display",
+                    `ORIGINAL state - Button wrapper expected display 'flex', got '${actualWrapperDiv.style.display}'.`
                 );
-                needsReapply = true;
             }
         }
 
         // Exit early if fundamental presence/parentage/visibility issues for our elements are found, as style checks will likely fail.
-        if (needsReapply) {
+        if (deviations.length) {
             this._warn(
                 `Failsafe triggered early due to missing/mis-parented/wrong-display critical plugin elements. Re-application queued.`
             );
-            warnings.forEach((warning) => this._warn(`  - ${warning}`)); // Use _warn for these too
+            this.recordFailsafeDeviations(deviations);
             this.queueLayoutReapply(); // Call without isReportingOnly, so it applies fix
             return;
         }
 
-        // --- Style Integrity Checks (only proceed if elements are present and correctly parented/displayed) ---
-
-        // Retrieve rects again *after* confirming elements are present.
-        const tempSidebarListRect = currentSidebarList.getBoundingClientRect();
-        const tempUserIDSectionRect = currentUserIDSection.getBoundingClientRect();
+        // --- Stylesheet Checks (only proceed if elements are present and correctly parented/displayed) ---
+        // The stylesheet does the actual styling, so we only verify that its switches and inputs are intact:
+        // the <style> element, and the root classes and custom properties diffed against a fresh plan.
+        const root = this.document.documentElement;
+        const stateName = this.isMoved ? "MOVED" : "ORIGINAL";
 
-        const totalColumnHeight = tempUserIDSectionRect.top - tempSidebarListRect.top;
-        const availableHeightForPanels = totalColumnHeight;
-
-        if (availableHeightForPanels <= 0) {
-            warnings.push("Failsafe: Available height for panels is zero or negative. Recalculating.");
-            needsReapply = true;
+        if (this.isMoved && !this.document.getElementById(this.layoutStyleId)) {
+            report("layout stylesheet", "MOVED state - Layout stylesheet missing from the document.");
+        }
+        if (!this.document.getElementById(this.controlsStyleId)) {
+            report("controls stylesheet", `${stateName} state - Controls stylesheet missing from the document.`);
         }
 
-        const expectedSidebarHeight = availableHeightForPanels * this.sidebarHeightPercentage;
-        const expectedMembersHeight = availableHeightForPanels * this.membersHeightPercentage;
-        const expectedMembersWrapTop = tempSidebarListRect.bottom;
-        const expectedMembersWrapWidth = tempSidebarListRect.width;
-
-        if (this.isMoved) {
-            // Check membersWrap styles
-            if (currentMembersWrap && currentMembersWrap.style.position !== "fixed") {
-                warnings.push(
-                    `Failsafe: membersWrap position expected 'fixed', got '${currentMembersWrap.style.position}'.`
-                );
-                needsReapply = true;
-            }
-            if (
-                currentMembersWrap &&
-                !compareFloats(parseFloat(currentMembersWrap.style.width), expectedMembersWrapWidth, PIXEL_TOLERANCE)
-            ) {
-                warnings.push(
-                    `Failsafe: membersWrap width expected '${expectedMembersWrapWidth.toFixed(3)}px', got '${parseFloat(currentMembersWrap.style.width).toFixed(3)}px'.`
-                );
-                needsReapply = true;
-            }
-            if (
-                currentMembersWrap &&
-                !compareFloats(parseFloat(currentMembersWrap.style.height), expectedMembersHeight, PIXEL_TOLERANCE)
-            ) {
-                warnings.push(
-                    `Failsafe: membersWrap height expected '${expectedMembersHeight.toFixed(3)}px', got '${parseFloat(currentMembersWrap.style.height).toFixed(3)}px'.`
-                );
-                needsReapply = true;
-            }
-            if (
-                currentMembersWrap &&
-                !compareFloats(parseFloat(currentMembersWrap.style.left), tempSidebarListRect.left, PIXEL_TOLERANCE)
-            ) {
-                warnings.push(
-                    `Failsafe: membersWrap left expected '${tempSidebarListRect.left.toFixed(3)}px', got '${parseFloat(currentMembersWrap.style.left).toFixed(3)}px'.`
-                );
-                needsReapply = true;
-            }
-            if (
-                currentMembersWrap &&
-                !compareFloats(parseFloat(currentMembersWrap.style.top), expectedMembersWrapTop, PIXEL_TOLERANCE)
-            ) {
-                warnings.push(
-                    `Failsafe: membersWrap top expected '${expectedMembersWrapTop.toFixed(3)}px', got '${parseFloat(currentMembersWrap.style.top).toFixed(3)}px'.`
-                );
-                needsReapply = true;
-            }
-            if (currentMembersWrap && currentMembersWrap.style.transform !== "translateX(0%)") {
-                warnings.push(
-                    `Failsafe: membersWrap transform expected 'translateX(0%)', got '${currentMembersWrap.style.transform}'.`
-                );
-                needsReapply = true;
-            }
-            if (currentMembersWrap && currentMembersWrap.style.flexDirection !== "column") {
-                warnings.push(
-                    `Failsafe: membersWrap flexDirection expected 'column', got '${currentMembersWrap.style.flexDirection}'.`
-                );
-                needsReapply = true;
-            }
-            if (currentMembersWrap && currentMembersWrap.style.display !== "flex") {
-                warnings.push(
-                    `Failsafe: membersWrap display expected 'flex', got '${currentMembersWrap.style.display}'.`
-                );
-                needsReapply = true;
-            }
-            if (currentMembersWrap && currentMembersWrap.style.zIndex) {
-                warnings.push(`Failsafe: membersWrap z-index found: '${currentMembersWrap.style.zIndex}'.`);
-                needsReapply = true;
-            } // Check for z-index
-
-            if (
-                currentSidebarList &&
-                !compareFloats(parseFloat(currentSidebarList.style.height), expectedSidebarHeight, PIXEL_TOLERANCE)
-            ) {
-                warnings.push(
-                    `Failsafe: sidebarList height expected '${expectedSidebarHeight.toFixed(3)}px', got '${parseFloat(currentSidebarList.style.height).toFixed(3)}px'.`
-                );
-                needsReapply = true;
-            }
-            if (currentSidebarList && currentSidebarList.style.paddingBottom !== "0px") {
-                warnings.push(
-                    `Failsafe: sidebarList paddingBottom expected '0px', got '${currentSidebarList.style.paddingBottom}'.`
-                );
-                needsReapply = true;
-            }
-
-            const expectedRemainingHeightForContent = expectedMembersHeight - this.OUR_UI_HEIGHT_PX;
-            if (currentMembersListContainer) {
-                // Only check if present
-                if (
-                    !compareFloats(
-                        parseFloat(currentMembersListContainer.style.height),
-                        Math.max(0, expectedRemainingHeightForContent),
-                        PIXEL_TOLERANCE
-                    )
-                ) {
-                    warnings.push(
-                        `Failsafe: membersListContainer height expected '${Math.max(0, expectedRemainingHeightForContent).toFixed(3)}px', got '${parseFloat(currentMembersListContainer.style.height).toFixed(3)}px'.`
-                    );
-                    needsReapply = true;
-                }
-                if (currentMembersListContainer.style.width !== "100%") {
-                    warnings.push(
-                        `Failsafe: membersListContainer width expected '100%', got '${currentMembersListContainer.style.width}'.`
-                    );
-                    needsReapply = true;
-                }
-                if (currentMembersListContainer.style.overflowY !== "auto") {
-                    warnings.push(
-                        `Failsafe: membersListContainer overflowY expected 'auto', got '${currentMembersListContainer.style.overflowY}'.`
-                    );
-                    needsReapply = true;
-                }
-            } else {
-                // If moved, membersListContainer being absent is a deviation we need to fix
-                warnings.push(
-                    "Failsafe: MOVED state - membersListContainer is NOT present when it should be for full layout."
-                );
-                needsReapply = true;
-            }
+        const plan = this.getLayoutPlan(currentSidebarList, currentUserIDSection);
+        if (!plan) {
+            report("available height", "Available height for panels is zero or negative. Recalculating.");
         } else {
-            // Checks for ORIGINAL state
-            if (currentMembersWrap && currentMembersWrap.style.position) {
-                warnings.push(
-                    `Failsafe: ORIGINAL state - membersWrap position found: '${currentMembersWrap.style.position}'.`
-                );
-                needsReapply = true;
-            }
-            if (currentMembersWrap && currentMembersWrap.style.width !== "") {
-                warnings.push(
-                    `Failsafe: ORIGINAL state - membersWrap width found: '${currentMembersWrap.style.width}'.`
-                );
-                needsReapply = true;
-            }
-            if (currentMembersWrap && currentMembersWrap.style.height !== "") {
-                warnings.push(
-                    `Failsafe: ORIGINAL state - membersWrap height found: '${currentMembersWrap.style.height}'.`
-                );
-                needsReapply = true;
-            }
-            if (currentMembersWrap && currentMembersWrap.style.flexDirection !== "") {
-                warnings.push(
-                    `Failsafe: ORIGINAL state - membersWrap flexDirection found: '${currentMembersWrap.style.flexDirection}'.`
-                );
-                needsReapply = true;
-            }
-            if (currentMembersWrap && currentMembersWrap.style.display !== "") {
-                warnings.push(
-                    `Failsafe: ORIGINAL state - membersWrap display found: '${currentMembersWrap.style.display}'.`
-                );
-                needsReapply = true;
+            const live = {
+                classes: [...root.classList],
+                variables: Object.fromEntries(
+                    this.LAYOUT_VARIABLES.map((name) => [name, root.style.getPropertyValue(name).trim()])
+                )
+            };
+            for (const deviation of LayoutEngine.diffPlan(plan, live, this.LAYOUT_ROOT_CLASSES, PIXEL_TOLERANCE)) {
+                report(deviation.property, `${stateName} state - ${deviation.message}.`);
             }
-            if (currentMembersWrap && currentMembersWrap.style.zIndex) {
-                warnings.push(
-                    `Failsafe: ORIGINAL state - membersWrap z-index found: '${currentMembersWrap.style.zIndex}'.`
-                );
-                needsReapply = true;
-            } // Check for z-index
+        }
 
-            if (currentMembersListContainer && currentMembersListContainer.style.height !== "") {
-                warnings.push(
-                    `Failsafe: ORIGINAL state - membersListContainer height found: '${currentMembersListContainer.style.height}'.`
-                );
-                needsReapply = true;
-            }
-            if (currentMembersListContainer && currentMembersListContainer.style.overflowY !== "") {
-                warnings.push(
-                    `Failsafe: ORIGINAL state - membersListContainer overflowY found: '${currentMembersListContainer.style.overflowY}'.`
-                );
-                needsReapply = true;
-            }
+        this.recordFailsafeDeviations(deviations);
+        if (deviations.length) {
+            this._warn(`Failsafe triggered a re-application due to deviations.`);
+            this.queueLayoutReapply(); // Call without isReportingOnly, so it applies fix
+        }
+    }
 
-            if (currentSidebarList && currentSidebarList.style.height !== "") {
-                warnings.push(
-                    `Failsafe: ORIGINAL state - sidebarList height found: '${currentSidebarList.style.height}'.`
-                );
-                needsReapply = true;
+    /**
+     * Logs each failsafe deviation as its own event and updates the per-property counts. A property
+     * deviating in FIGHT_LOOP_STREAK checks in a row means our repairs don't stick, so the loop
+     * protection takes over; a clean check lifts the back-off again.
+     * @param {{property: string, message: string}[]} deviations - Everything this check found
+     */
+    recordFailsafeDeviations(deviations) {
+        this.diagnosticsCounters.failsafeDeviations += deviations.length;
+        const deviatingProperties = new Set(deviations.map((deviation) => deviation.property));
+
+        for (const [property, counts] of Object.entries(this.deviationCounts)) {
+            if (!deviatingProperties.has(property)) counts.streak = 0;
+        }
+        for (const deviation of deviations) {
+            this._record("warn", "failsafe", deviation.message, { property: deviation.property });
+        }
+        for (const property of deviatingProperties) {
+            const counts = this.deviationCounts[property] || (this.deviationCounts[property] = { total: 0, streak: 0 });
+            counts.total++;
+            counts.streak++;
+            if (counts.streak >= this.FIGHT_LOOP_STREAK) {
+                this.handleFightLoop(property, { ...counts });
+                counts.streak = 0; // The next escalation needs another full streak
             }
         }
 
-        if (needsReapply) {
-            this._warn(`Failsafe triggered a re-application due to deviations:`);
-            warnings.forEach((warning) => this._warn(`  - ${warning}`));
-            this.queueLayoutReapply(); // Call without isReportingOnly, so it applies fix
+        if (!deviations.length && this.backoffLevel > 0) {
+            this._log(`Failsafe: Layout intact again. Lifting the back-off.`);
+            this.setBackoffLevel(0);
         }
     }
 
     /**
-     * Resets height and padding-bottom styles on the sidebarList element.
+     * Switches the layout rules off so the sidebarList gets its own height, padding and margins back.
      * This is used when the member list is confirmed absent and our plugin
      * needs to release control of the sidebar's sizing.
      * @private
      */
     _resetSidebarListStyles() {
-        const sidebarList = document.querySelector('[class*="sidebarList"]');
-        if (sidebarList) {
-            sidebarList.style.removeProperty("height");
-            sidebarList.style.removeProperty("padding-bottom");
-            const sidebarNav = sidebarList.querySelector("nav");
-            if (sidebarNav) {
-                sidebarNav.style.removeProperty("padding-bottom");
-            }
-            this._log(`_resetSidebarListStyles: SidebarList styles removed.`);
-        }
+        this.clearLayoutRootState();
+        this._log(`_resetSidebarListStyles: Layout classes and variables removed.`);
     }
 
     /**
@@ -1310,7 +4385,7 @@ module.exports = class MoveMembersWrap {
         );
 
         this.memberListAbsenceTimer = setTimeout(() => {
-            const membersWrap = document.querySelector('[class*="membersWrap"]');
+            const membersWrap = this.findAnchor("membersWrap");
             if (!membersWrap) {
                 this._log(
                     `MemberListAbsence: membersWrap still NOT found after ${this.ABSENCE_CHECK_DELAY_MS}ms. Proceeding to reset sidebar styles.`
@@ -1326,3 +4401,6 @@ module.exports = class MoveMembersWrap {
         }, this.ABSENCE_CHECK_DELAY_MS);
     }
 };
+
+// Exposed for the tests; BetterDiscord only uses the class itself
+module.exports.LayoutEngine = LayoutEngine;
@@ -0,0 +1,131 @@
+/**
+ * Mutation storm benchmark for the plugin's MutationObserver.
+ *
+ * Loads the plugin into the test suite's jsdom copy of Discord's app layout (test/helpers/environment.js)
+ * and fires bursts of mutations that have nothing to do with the layout (chat messages, typing
+ * indicators, member list rows), followed by a few that do (channel switch, member list hidden and shown). Each scenario runs twice: once with the
+ * plugin's scoped observer, and once with the old observer on document.body with subtree, which is
+ * rebuilt here for comparison. Prints how many reapplies each one queued.
+ *
+ * Usage: npm run bench
+ */
+const { createEnvironment, settle } = require("../test/helpers/environment");
+
+const STORM_SIZE = 300; // Mutations per noise scenario
+const STORM_INTERVAL_MS = 5; // Pause between two mutations, so each one is its own observer batch
+
+/** Resolves after the observer callbacks for the previous mutations have run **/
+const tick = () => new Promise((resolve) => setTimeout(resolve, STORM_INTERVAL_MS));
+
+/**
+ * Replaces the plugin's observer with the one it used before scoping: document.body with subtree,
+ * where any childList mutation queues a reapply.
+ * @param {Object} plugin
+ */
+function useLegacyObserver(plugin) {
+    plugin.observer.disconnect();
+    plugin.observer = new MutationObserver((mutationsList) => {
+        if (mutationsList.some((mutation) => mutation.type === "childList" || mutation.attributeName === "style")) {
+            plugin.queueLayoutReapply();
+        }
+    });
+    plugin.observer.observe(document.body, {
+        childList: true,
+        subtree: true,
+        attributes: true,
+        attributeFilter: ["style"]
+    });
+}
+
+const scenarios = {
+    "chat messages": (index) => {
+        const message = document.createElement("li");
+        message.className = "messageListItem_s9";
+        message.textContent = `Message ${index}`;
+        document.querySelector('[class*="scrollerInner"]').append(message);
+    },
+    "typing indicator": (index) => {
+        const typing = document.querySelector('[class*="typing"]');
+        typing.textContent = index % 2 ? "Someone is typing..." : "";
+    },
+    "member list rows": (index) => {
+        const content = document.querySelector('[class*="members"] [class*="content"]');
+        const row = document.createElement("div");
+        row.className = "member_t0";
+        row.textContent = `Member ${index}`;
+        content.prepend(row);
+        if (content.children.length > 50) content.lastElementChild.remove();
+    },
+    "channel switch": () => {
+        // Discord re-renders the whole chat area when switching channels
+        const chat = document.querySelector('[class*="chat_"]');
+        chat.replaceWith(chat.cloneNode(true));
+    },
+    "member list hidden and shown": async () => {
+        const membersWrap = document.querySelector('[class*="membersWrap"]');
+        const parent = membersWrap.parentElement;
+        membersWrap.remove();
+        await tick();
+        parent.append(membersWrap);
+    }
+};
+
+/**
+ * Runs one scenario against a fresh plugin instance.
+ * @param {string} name - Key of scenarios
+ * @param {boolean} legacy - Use the document.body observer instead of the scoped one
+ * @returns {Promise<{queued: number, applied: number, layoutIntact: boolean}>}
+ */
+async function runScenario(name, legacy) {
+    const env = createEnvironment();
+    const plugin = env.createPlugin();
+    plugin.failsafeEnabled = false; // Count the observer's work only
+
+    plugin.start();
+    plugin.toggleMovedState();
+    if (legacy) useLegacyObserver(plugin);
+    await settle(plugin);
+
+    let queued = 0;
+    let applied = 0;
+    const queueLayoutReapply = plugin.queueLayoutReapply.bind(plugin);
+    const applyCurrentLayoutState = plugin.applyCurrentLayoutState.bind(plugin);
+    plugin.queueLayoutReapply = () => {
+        queued++;
+        queueLayoutReapply();
+    };
+    plugin.applyCurrentLayoutState = () => {
+        applied++;
+        applyCurrentLayoutState();
+    };
+
+    const isNoise = !["channel switch", "member list hidden and shown"].includes(name);
+    for (let index = 0; index < (isNoise ? STORM_SIZE : 1); index++) {
+        await scenarios[name](index);
+        await tick();
+    }
+    await settle(plugin);
+
+    // The handle must be back in the (possibly re-rendered) member list after structural changes
+    const layoutIntact = !!document.querySelector('[class*="membersWrap"] > #bd-resize-handle');
+    env.cleanup();
+    return { queued, applied, layoutIntact };
+}
+
+(async () => {
+    const rows = [];
+    for (const name of Object.keys(scenarios)) {
+        const legacy = await runScenario(name, true);
+        const scoped = await runScenario(name, false);
+        rows.push({
+            scenario: name,
+            "legacy queued": legacy.queued,
+            "legacy applied": legacy.applied,
+            "scoped queued": scoped.queued,
+            "scoped applied": scoped.applied,
+            "layout intact": scoped.layoutIntact
+        });
+    }
+    console.table(rows);
+    process.exit(rows.every((row) => row["layout intact"]) ? 0 : 1);
+})();
@@ -0,0 +1,64 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { createEnvironment, settle } = require("./helpers/environment");
+
+describe("member list absence", () => {
+    let env;
+    let plugin;
+    let membersWrap;
+    let parent;
+
+    beforeEach(async () => {
+        env = createEnvironment();
+        plugin = env.createPlugin();
+        plugin.start();
+        plugin.toggleMovedState();
+        await settle(plugin);
+        membersWrap = env.document.querySelector('[class*="membersWrap"]');
+        parent = membersWrap.parentElement;
+    });
+    afterEach(() => env.cleanup());
+
+    const root = () => env.document.documentElement;
+
+    it("releases the channel list once the member list stays gone", async () => {
+        membersWrap.remove();
+        await settle(plugin, plugin.ABSENCE_CHECK_DELAY_MS);
+
+        assert.equal(root().classList.contains("bd-mlm-stacked"), false);
+        assert.equal(plugin.isMoved, true, "the moved state itself is kept");
+    });
+
+    it("keeps the layout when the member list comes back before the delay", async () => {
+        membersWrap.remove();
+        await new Promise((resolve) => setTimeout(resolve, 0));
+        parent.append(membersWrap);
+        await settle(plugin, plugin.ABSENCE_CHECK_DELAY_MS);
+
+        assert.ok(root().classList.contains("bd-mlm-stacked"));
+    });
+
+    it("restores the layout when the member list is rendered again", async () => {
+        membersWrap.remove();
+        await settle(plugin, plugin.ABSENCE_CHECK_DELAY_MS);
+
+        const rerendered = env.document.createElement("div");
+        rerendered.className = "membersWrap_p6";
+        rerendered.innerHTML = '<div class="members_q7"></div>';
+        parent.append(rerendered);
+        await settle(plugin);
+
+        assert.ok(root().classList.contains("bd-mlm-stacked"));
+        assert.equal(rerendered.firstElementChild.id, "bd-resize-handle");
+    });
+
+    it("follows the member list into a re-rendered chat area", async () => {
+        const chat = env.document.querySelector('[class*="chat_"]');
+        chat.replaceWith(chat.cloneNode(true));
+        await settle(plugin);
+
+        const newMembersWrap = env.document.querySelector('[class*="membersWrap"]');
+        assert.notEqual(newMembersWrap, membersWrap);
+        assert.ok(newMembersWrap.querySelector("#bd-resize-handle"));
+    });
+});
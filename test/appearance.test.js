@@ -0,0 +1,125 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { createEnvironment, settle } = require("./helpers/environment");
+
+describe("appearance", () => {
+    let env;
+    let plugin;
+
+    beforeEach(async () => {
+        env = createEnvironment();
+        plugin = env.createPlugin();
+        plugin.start();
+        await settle(plugin);
+    });
+    afterEach(() => env.cleanup());
+
+    const controlsCss = () => env.document.getElementById(plugin.controlsStyleId).textContent;
+
+    it("styles the controls with the theme's variables instead of inline colors", () => {
+        assert.match(controlsCss(), /--bd-mlm-accent: var\(--bg-brand/);
+        assert.match(controlsCss(), /--bd-mlm-danger: var\(--button-danger-background/);
+
+        for (const id of ["bd-move-button-wrapper", "bd-move-members-button"]) {
+            const style = env.document.getElementById(id).getAttribute("style") || "";
+            assert.doesNotMatch(style, /color/, `#${id} has no inline colors`);
+        }
+    });
+
+    it("marks the button as the reset button in the moved layout", async () => {
+        plugin.toggleMovedState();
+        await settle(plugin);
+
+        const wrapper = env.document.getElementById("bd-move-button-wrapper");
+        assert.ok(wrapper.classList.contains("bd-mlm-reset"));
+        assert.equal(env.document.getElementById("bd-move-members-button").textContent, "Reset Layout");
+    });
+
+    it("uses custom accent colors with readable text", () => {
+        plugin.updateSetting("accentColor", "#FFE066");
+        plugin.updateSetting("resetAccentColor", "#202225");
+        plugin.updateSetting("customAccentColors", true);
+
+        assert.match(controlsCss(), /--bd-mlm-accent: #ffe066;/);
+        assert.match(controlsCss(), /--bd-mlm-accent-text: #000;/);
+        assert.match(controlsCss(), /--bd-mlm-danger-text: #fff;/);
+        assert.equal(env.data.config.settings.accentColor, "#ffe066");
+    });
+
+    it("rejects colors that are not #rrggbb", () => {
+        plugin.updateSetting("accentColor", "red; display: none");
+
+        assert.equal(plugin.accentColor, "#5865f2");
+    });
+
+    it("re-injects a removed controls stylesheet from the failsafe", async () => {
+        env.document.getElementById(plugin.controlsStyleId).remove();
+        plugin.checkAndReapplyLayout();
+        await settle(plugin);
+
+        assert.ok(env.document.getElementById(plugin.controlsStyleId));
+    });
+
+    it("derives the space the controls take from the handle and button settings", async () => {
+        assert.equal(plugin.OUR_UI_HEIGHT_PX, 24, "16px handle and 8px strip by default");
+
+        plugin.updateSetting("handleThickness", 10);
+        assert.equal(plugin.RESIZE_HANDLE_HEIGHT, 22);
+        assert.equal(plugin.BUTTON_WRAPPER_HEIGHT, 14);
+
+        plugin.updateSetting("toggleButtonMode", "always");
+        assert.equal(plugin.BUTTON_WRAPPER_HEIGHT, 34, "the whole button");
+        plugin.updateSetting("toggleButtonIconOnly", true);
+        assert.equal(plugin.BUTTON_WRAPPER_HEIGHT, 26);
+
+        plugin.toggleMovedState();
+        await settle(plugin);
+        const root = env.document.documentElement;
+        const membersHeight = parseFloat(root.style.getPropertyValue("--bd-mlm-members-height"));
+        const contentHeight = parseFloat(root.style.getPropertyValue("--bd-mlm-content-height"));
+        assert.equal(membersHeight - contentHeight, 22 + 26, "the member list makes room for them");
+        assert.match(controlsCss(), /#bd-resize-handle \{[^}]*height: 14px;/);
+    });
+
+    it("offers grip dots and optional hover feedback", () => {
+        assert.match(controlsCss(), /#bd-resize-handle, #bd-width-handle\):hover \{/);
+
+        plugin.updateSetting("handleStyle", "dots");
+        plugin.updateSetting("handleHoverFeedback", false);
+
+        assert.match(controlsCss(), /radial-gradient/);
+        assert.doesNotMatch(controlsCss(), /#bd-resize-handle, #bd-width-handle\):hover/);
+    });
+
+    it("shows an icon with a tooltip in the icon-only toggle button", async () => {
+        plugin.updateSetting("toggleButtonIconOnly", true);
+        const button = env.document.getElementById("bd-move-members-button");
+
+        assert.ok(button.querySelector("svg"));
+        assert.equal(button.title, "Move");
+        assert.equal(button.getAttribute("aria-label"), "Move member list under channel list");
+
+        plugin.toggleMovedState();
+        await settle(plugin);
+        assert.equal(button.title, "Reset Layout");
+
+        plugin.updateSetting("toggleButtonIconOnly", false);
+        assert.equal(button.textContent, "Reset Layout");
+        assert.equal(button.title, "");
+    });
+
+    it("keeps the toggle button's icon when the state has not changed", async () => {
+        plugin.updateSetting("toggleButtonIconOnly", true);
+        const icon = env.document.querySelector("#bd-move-members-button svg");
+
+        plugin.queueLayoutReapply();
+        await settle(plugin);
+        assert.equal(env.document.querySelector("#bd-move-members-button svg"), icon);
+    });
+
+    it("removes the controls stylesheet on stop", () => {
+        plugin.stop();
+
+        assert.equal(env.document.getElementById(plugin.controlsStyleId), null);
+    });
+});
@@ -0,0 +1,88 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { createEnvironment, settle } = require("./helpers/environment");
+
+describe("automatic layout", () => {
+    let env;
+    let plugin;
+
+    beforeEach(async () => {
+        env = createEnvironment();
+        env.window.innerWidth = 1600;
+        plugin = env.createPlugin();
+        plugin.start();
+        await settle(plugin);
+        plugin.updateSetting("autoMoveEnabled", true);
+        await settle(plugin);
+    });
+    afterEach(() => env.cleanup());
+
+    const isMovedOnScreen = () => env.document.documentElement.classList.contains("bd-mlm-moved");
+    const resizeTo = async (width) => {
+        env.window.innerWidth = width;
+        env.window.dispatchEvent(new env.window.Event("resize"));
+        await settle(plugin);
+    };
+
+    it("moves the member list below the breakpoint and restores it above", async () => {
+        assert.equal(isMovedOnScreen(), false);
+
+        await resizeTo(1000);
+        assert.equal(isMovedOnScreen(), true);
+
+        await resizeTo(1400);
+        assert.equal(isMovedOnScreen(), false);
+    });
+
+    it("treats the toggle as an override until the window crosses a breakpoint", async () => {
+        await resizeTo(1000);
+        plugin.toggleMovedState();
+        await settle(plugin);
+        assert.equal(isMovedOnScreen(), false);
+
+        await resizeTo(1100); // Same range
+        assert.equal(isMovedOnScreen(), false);
+
+        await resizeTo(1400);
+        await resizeTo(1000);
+        assert.equal(isMovedOnScreen(), true, "the override ended when the window left the range");
+    });
+
+    it("does not save the automatic state to the profile", async () => {
+        await resizeTo(1000);
+        plugin.toggleMovedState();
+        plugin.toggleMovedState();
+        await settle(plugin);
+
+        assert.equal(env.data.config.layout.isMoved, false);
+        assert.equal(env.data.config.profiles["1"]?.isMoved ?? false, false);
+    });
+
+    it("remembers the split per width range", async () => {
+        plugin.updateSetting("autoMoveSplitPerBreakpoint", true);
+        plugin.updateSetting("autoMoveCompactBreakpointPx", 800);
+        await resizeTo(1000);
+        plugin.setSplit(0.3);
+        await resizeTo(700);
+        plugin.setSplit(0.7);
+        await settle(plugin);
+
+        await resizeTo(1000);
+        assert.equal(plugin.sidebarHeightPercentage, 0.3);
+        await resizeTo(700);
+        assert.equal(plugin.sidebarHeightPercentage, 0.7);
+        assert.deepEqual(Object.keys(env.data.config.breakpointSplits).sort(), ["compact", "narrow"]);
+    });
+
+    it("returns to the profile's layout when turned off", async () => {
+        await resizeTo(1000);
+        assert.equal(isMovedOnScreen(), true);
+
+        plugin.updateSetting("autoMoveEnabled", false);
+        await settle(plugin);
+        assert.equal(isMovedOnScreen(), false);
+
+        await resizeTo(900);
+        assert.equal(isMovedOnScreen(), false);
+    });
+});
@@ -0,0 +1,128 @@
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { createEnvironment, settle } = require("./helpers/environment");
+
+describe("diagnostics", () => {
+    let env;
+
+    afterEach(() => env.cleanup());
+
+    it("prints only the levels the log level lets through", (t) => {
+        env = createEnvironment();
+        const plugin = env.createPlugin();
+        const printed = [];
+        for (const method of ["error", "warn", "log", "debug"]) {
+            t.mock.method(console, method, () => printed.push(method));
+        }
+
+        plugin.logLevel = "warn";
+        plugin._error("an error");
+        plugin._warn("a warning");
+        plugin._log("some info");
+        plugin._debug("some detail");
+
+        assert.deepEqual(printed, ["error", "warn"]);
+        assert.deepEqual(
+            plugin.diagnosticsLog.map((entry) => entry.level),
+            ["error", "warn"],
+            "routine info and debug lines stay out of the buffer"
+        );
+    });
+
+    it("keeps failsafe events in the buffer through routine layout changes", async () => {
+        env = createEnvironment();
+        const plugin = env.createPlugin();
+        plugin.start();
+        plugin.toggleMovedState();
+        await settle(plugin);
+
+        env.document.documentElement.classList.remove("bd-mlm-stacked");
+        plugin.checkAndReapplyLayout();
+        for (let i = 0; i < 25; i++) {
+            plugin.setSplit(i % 2 ? 0.3 : 0.7);
+            plugin.applyCurrentLayoutState();
+        }
+
+        assert.equal(plugin.diagnosticsLog.filter((entry) => entry.category === "failsafe").length, 1);
+    });
+
+    it("does not format log arguments that are not printed", (t) => {
+        env = createEnvironment();
+        const plugin = env.createPlugin();
+        const stringify = t.mock.method(JSON, "stringify");
+
+        plugin._log("state", { isMoved: true });
+        plugin._debug("detail", { split: 0.5 });
+
+        assert.equal(stringify.mock.callCount(), 0);
+    });
+
+    it("keeps only the most recent events", () => {
+        env = createEnvironment();
+        const plugin = env.createPlugin();
+        plugin.DIAGNOSTICS_LOG_SIZE = 3;
+
+        for (let i = 0; i < 5; i++) plugin._record("debug", "layout", `event ${i}`);
+
+        assert.deepEqual(
+            plugin.diagnosticsLog.map((entry) => entry.message),
+            ["event 2", "event 3", "event 4"]
+        );
+    });
+
+    it("records failsafe deviations and selector misses as separate events", async () => {
+        env = createEnvironment();
+        const plugin = env.createPlugin();
+        plugin.start();
+        plugin.toggleMovedState();
+        await settle(plugin);
+
+        env.document.documentElement.classList.remove("bd-mlm-stacked");
+        plugin.checkAndReapplyLayout();
+        env.document.querySelector('[class*="membersWrap"]').remove();
+        plugin.findAnchor("membersWrap");
+        plugin.findAnchor("membersWrap");
+
+        const failsafeEvents = plugin.diagnosticsLog.filter((entry) => entry.category === "failsafe");
+        assert.equal(failsafeEvents.length, 1);
+        assert.match(failsafeEvents[0].message, /bd-mlm-stacked/);
+        assert.equal(plugin.diagnosticsCounters.failsafeDeviations, 1);
+
+        const misses = plugin.diagnosticsLog.filter((entry) => entry.category === "selectors");
+        assert.equal(misses.length, 1, "a missing anchor is logged once");
+        assert.equal(misses[0].data.anchor, "membersWrap");
+        assert.ok(plugin.diagnosticsCounters.selectorMisses >= 2);
+    });
+
+    it("copies the events, layout and environment as JSON", async () => {
+        env = createEnvironment();
+        const copied = [];
+        env.window.DiscordNative = { clipboard: { copy: (text) => copied.push(text) } };
+        const plugin = env.createPlugin();
+        plugin.start();
+        plugin.toggleMovedState();
+        await settle(plugin);
+
+        await plugin.copyDiagnostics();
+
+        const diagnostics = JSON.parse(copied[0]);
+        assert.equal(diagnostics.plugin.configVersion, plugin.CONFIG_VERSION);
+        assert.equal(typeof diagnostics.environment.userAgent, "string");
+        assert.deepEqual(diagnostics.layout.rootClasses, ["bd-mlm-moved", "bd-mlm-stacked"]);
+        assert.equal(diagnostics.layout.lastMeasurements.userSectionTop, 860);
+        assert.ok(diagnostics.counters.reapplies > 0);
+        assert.ok(diagnostics.events.some((entry) => entry.category === "layout" && entry.data.measurements));
+        assert.equal(env.toasts.at(-1).options.type, "success");
+    });
+
+    it("migrates the old logging switches to a log level", () => {
+        env = createEnvironment({
+            data: { config: { version: 2, settings: { masterLogs: false, consoleWarnings: true } } }
+        });
+        const plugin = env.createPlugin();
+        plugin.start();
+
+        assert.equal(plugin.logLevel, "warn");
+        assert.equal(env.data.config.settings.consoleWarnings, undefined);
+    });
+});
@@ -0,0 +1,111 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { createEnvironment, settle, pointerEvent, COLUMN_TOP, USER_SECTION_TOP } = require("./helpers/environment");
+
+describe("dragging the split", () => {
+    let env;
+    let plugin;
+    let handle;
+
+    beforeEach(async () => {
+        env = createEnvironment();
+        plugin = env.createPlugin();
+        plugin.start();
+        plugin.toggleMovedState();
+        await settle(plugin);
+        handle = env.document.querySelector("#bd-resize-handle");
+    });
+    afterEach(() => env.cleanup());
+
+    /** Drags the handle to clientY and releases it **/
+    const dragTo = (clientY) => {
+        handle.onpointerdown(pointerEvent(env.window, "pointerdown", { clientY: 400 }));
+        handle.dispatchEvent(pointerEvent(env.window, "pointermove", { clientY }));
+        handle.dispatchEvent(pointerEvent(env.window, "pointerup", { clientY }));
+    };
+
+    it("follows the pointer", () => {
+        dragTo(COLUMN_TOP + (USER_SECTION_TOP - COLUMN_TOP) * 0.3);
+
+        assert.equal(plugin.sidebarHeightPercentage, 0.3);
+        assert.equal(plugin.membersHeightPercentage, 0.7);
+        assert.equal(plugin.isDragging, false);
+    });
+
+    it("clamps the channel list to MIN_HEIGHT_PERCENTAGE", () => {
+        dragTo(COLUMN_TOP - 100);
+
+        assert.equal(plugin.sidebarHeightPercentage, plugin.MIN_HEIGHT_PERCENTAGE);
+        assert.equal(plugin.membersHeightPercentage, 1 - plugin.MIN_HEIGHT_PERCENTAGE);
+    });
+
+    it("clamps the member list to MIN_HEIGHT_PERCENTAGE", () => {
+        plugin.updateSetting("MIN_HEIGHT_PERCENTAGE", 0.2);
+        dragTo(USER_SECTION_TOP + 100);
+
+        assert.equal(plugin.membersHeightPercentage, 0.2);
+        assert.equal(plugin.sidebarHeightPercentage, 0.8);
+    });
+
+    it("clamps the pinned list to its pixel range", () => {
+        plugin.updateSetting("sizingMode", "pixels");
+        plugin.updateSetting("pixelMinPx", 150);
+        plugin.updateSetting("pixelMaxPx", 300);
+
+        dragTo(COLUMN_TOP + 500);
+        assert.equal(plugin.pixelHeightPx, 300);
+        assert.equal(plugin.sidebarHeightPercentage, 0.375);
+
+        dragTo(COLUMN_TOP + 50);
+        assert.equal(plugin.pixelHeightPx, 150);
+        assert.equal(env.data.config.profiles["1"].pixels, 150);
+    });
+
+    it("ignores pointers other than the one that started the drag", () => {
+        handle.onpointerdown(pointerEvent(env.window, "pointerdown", { clientY: 400, pointerId: 1 }));
+        handle.dispatchEvent(pointerEvent(env.window, "pointermove", { clientY: 100, pointerId: 2 }));
+
+        assert.equal(plugin.sidebarHeightPercentage, 0.5);
+        plugin.endDrag();
+    });
+
+    it("saves the split into the layout, not over the moved state", () => {
+        // Older builds saved {sidebar, members} under the moved-state key, which
+        // turned the layout back to original on the next start
+        dragTo(COLUMN_TOP + (USER_SECTION_TOP - COLUMN_TOP) * 0.25);
+
+        const savedLayout = env.data.config.profiles["1"]; // Layouts are saved per server by default
+        assert.deepEqual(
+            { isMoved: savedLayout.isMoved, sidebar: savedLayout.sidebar },
+            { isMoved: true, sidebar: 0.25 }
+        );
+        assert.equal(env.data.isMovedState, undefined);
+
+        plugin.stop();
+        const restarted = env.createPlugin();
+        restarted.start();
+        assert.equal(restarted.isMoved, true);
+        assert.equal(restarted.sidebarHeightPercentage, 0.25);
+    });
+
+    it("resets the split from the context menu like a double-click", () => {
+        let menu = [];
+        BdApi.ContextMenu.open = (event, items) => (menu = items);
+        dragTo(COLUMN_TOP + (USER_SECTION_TOP - COLUMN_TOP) * 0.3);
+        handle.dispatchEvent(new env.window.MouseEvent("contextmenu", { bubbles: true, cancelable: true }));
+        menu.find((item) => item.id === "mlm-reset-layout").action();
+
+        assert.equal(plugin.sidebarHeightPercentage, plugin.DEFAULT_SIDEBAR_PERCENTAGE);
+        assert.equal(plugin.isMoved, true, "the moved layout stays");
+    });
+
+    it("applies the split to the layout variables", async () => {
+        dragTo(COLUMN_TOP + (USER_SECTION_TOP - COLUMN_TOP) * 0.25);
+        await settle(plugin);
+
+        const root = env.document.documentElement;
+        assert.equal(root.style.getPropertyValue("--bd-mlm-sidebar-height"), "200px");
+        assert.equal(root.style.getPropertyValue("--bd-mlm-members-height"), "600px");
+        assert.equal(root.style.getPropertyValue("--bd-mlm-members-top"), `${COLUMN_TOP + 200}px`);
+    });
+});
@@ -0,0 +1,193 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { createEnvironment, settle } = require("./helpers/environment");
+
+describe("failsafe", () => {
+    let env;
+    let plugin;
+
+    beforeEach(async () => {
+        env = createEnvironment();
+        plugin = env.createPlugin();
+        plugin.start();
+        plugin.toggleMovedState();
+        await settle(plugin);
+        env.warnings.length = 0;
+    });
+    afterEach(() => env.cleanup());
+
+    const root = () => env.document.documentElement;
+
+    it("finds nothing to repair in an intact layout", () => {
+        plugin.checkAndReapplyLayout();
+
+        assert.deepEqual(env.warnings, []);
+    });
+
+    it("restores a removed root class", async () => {
+        root().classList.remove("bd-mlm-stacked");
+        plugin.checkAndReapplyLayout();
+        await settle(plugin);
+
+        assert.ok(env.warnings.some((warning) => warning.includes("bd-mlm-stacked")));
+        assert.ok(root().classList.contains("bd-mlm-stacked"));
+    });
+
+    it("restores an overwritten layout variable", async () => {
+        root().style.setProperty("--bd-mlm-sidebar-height", "10px");
+        plugin.checkAndReapplyLayout();
+        await settle(plugin);
+
+        assert.equal(root().style.getPropertyValue("--bd-mlm-sidebar-height"), "400px");
+    });
+
+    it("expects the pinned list's pixel height with pixel sizing", async () => {
+        plugin.updateSetting("sizingMode", "pixels");
+        plugin.pixelHeightPx = 250;
+        plugin.queueLayoutReapply();
+        await settle(plugin);
+        env.warnings.length = 0;
+
+        plugin.checkAndReapplyLayout();
+        assert.deepEqual(env.warnings, []);
+
+        root().style.setProperty("--bd-mlm-sidebar-height", "400px");
+        plugin.checkAndReapplyLayout();
+        await settle(plugin);
+        assert.equal(root().style.getPropertyValue("--bd-mlm-sidebar-height"), "250px");
+    });
+
+    it("re-injects a removed stylesheet", async () => {
+        env.document.getElementById(plugin.layoutStyleId).remove();
+        plugin.checkAndReapplyLayout();
+        await settle(plugin);
+
+        assert.ok(env.document.getElementById(plugin.layoutStyleId));
+    });
+
+    it("puts back a removed resize handle", async () => {
+        plugin.observer.disconnect(); // Leave the repair to the failsafe
+        env.document.querySelector("#bd-resize-handle").remove();
+        plugin.checkAndReapplyLayout();
+        await settle(plugin);
+
+        const membersWrap = env.document.querySelector('[class*="membersWrap"]');
+        assert.equal(membersWrap.firstElementChild.id, "bd-resize-handle");
+    });
+
+    it("switches the layout rules off in the original layout", async () => {
+        plugin.toggleMovedState();
+        await settle(plugin);
+        root().classList.add("bd-mlm-moved");
+        plugin.checkAndReapplyLayout();
+        await settle(plugin);
+
+        assert.equal(root().classList.contains("bd-mlm-moved"), false);
+    });
+});
+
+describe("failsafe loop protection", () => {
+    let env;
+    let plugin;
+    let notices;
+
+    beforeEach(async () => {
+        env = createEnvironment();
+        notices = [];
+        BdApi.UI.showNotice = (content, options) => {
+            notices.push({ content, options });
+            return () => {};
+        };
+        plugin = env.createPlugin();
+        plugin.start();
+        plugin.toggleMovedState();
+        await settle(plugin);
+    });
+    afterEach(() => env.cleanup());
+
+    const root = () => env.document.documentElement;
+
+    /** Runs failsafe checks while something keeps removing a root class again after each repair **/
+    const fight = async (checks) => {
+        for (let i = 0; i < checks; i++) {
+            root().classList.remove("bd-mlm-stacked");
+            plugin.checkAndReapplyLayout();
+            await settle(plugin);
+        }
+    };
+
+    it("counts deviations per property", async () => {
+        await fight(2);
+
+        assert.deepEqual(plugin.deviationCounts["bd-mlm-stacked"], { total: 2, streak: 2 });
+        assert.equal(plugin.backoffLevel, 0);
+    });
+
+    it("backs off exponentially and names the property once", async () => {
+        const interval = plugin.FAILSALE_INTERVAL_MS;
+        await fight(3);
+
+        assert.equal(plugin.backoffLevel, 1);
+        assert.equal(plugin.getReapplyThrottleDelay(), plugin.reapplyThrottleDelay * 2);
+        assert.equal(notices.length, 1);
+        assert.match(notices[0].content, /bd-mlm-stacked/);
+        const event = plugin.diagnosticsLog.find((entry) => entry.category === "loop");
+        assert.deepEqual(event.data.counts, { total: 3, streak: 3 });
+
+        await fight(3);
+        assert.equal(plugin.backoffLevel, 2);
+        assert.equal(notices.length, 1, "the notice is shown once per property");
+        assert.equal(plugin.FAILSALE_INTERVAL_MS, interval, "the setting itself is untouched");
+    });
+
+    it("lifts the back-off after a clean check", async () => {
+        await fight(3);
+        plugin.checkAndReapplyLayout();
+
+        assert.equal(plugin.backoffLevel, 0);
+        assert.equal(plugin.deviationCounts["bd-mlm-stacked"].streak, 0);
+    });
+
+    it("detects a fight over the member list's inline style", async () => {
+        plugin.STYLE_FIGHT_LIMIT = 3;
+        const membersWrap = env.document.querySelector('[class*="membersWrap"]');
+        for (let i = 0; i < 3; i++) {
+            membersWrap.style.width = `${100 + i}px`;
+            await Promise.resolve(); // Deliver the mutation record
+        }
+
+        assert.equal(plugin.backoffLevel, 1);
+        assert.match(notices[0].content, /member list's inline style/);
+        const event = plugin.diagnosticsLog.find((entry) => entry.category === "loop");
+        assert.deepEqual(event.data.counts, { rewrites: 3, windowMs: plugin.STYLE_FIGHT_WINDOW_MS });
+    });
+
+    it("reports a fight once per full window at the maximum back-off", async () => {
+        plugin.STYLE_FIGHT_LIMIT = 3;
+        plugin.setBackoffLevel(plugin.MAX_BACKOFF_LEVEL);
+        const membersWrap = env.document.querySelector('[class*="membersWrap"]');
+        for (let i = 0; i < 20; i++) {
+            membersWrap.style.width = `${100 + i}px`;
+            await Promise.resolve(); // Deliver the mutation record
+        }
+
+        assert.equal(plugin.diagnosticsCounters.fightLoops, 6);
+        assert.equal(plugin.backoffLevel, plugin.MAX_BACKOFF_LEVEL);
+    });
+
+    it("leaves the layout alone while enforcement is suspended", async () => {
+        await fight(3);
+        notices[0].options.buttons[0].onClick(() => {});
+        assert.equal(plugin.enforcementSuspended, true);
+
+        root().classList.remove("bd-mlm-stacked");
+        plugin.checkAndReapplyLayout();
+        await settle(plugin);
+        assert.equal(root().classList.contains("bd-mlm-stacked"), false);
+
+        plugin.setEnforcementSuspended(false);
+        await settle(plugin);
+        assert.equal(plugin.backoffLevel, 0);
+        assert.ok(root().classList.contains("bd-mlm-stacked"));
+    });
+});
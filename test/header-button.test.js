@@ -0,0 +1,109 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { createEnvironment, settle } = require("./helpers/environment");
+
+describe("channel header button", () => {
+    let env;
+    let plugin;
+
+    beforeEach(async () => {
+        env = createEnvironment();
+        plugin = env.createPlugin();
+        plugin.start();
+        await settle(plugin);
+    });
+    afterEach(() => env.cleanup());
+
+    const headerButton = () => env.document.getElementById("bd-mlm-header-button");
+    const nativeToggle = () => env.document.querySelector('[aria-label="Hide Member List"]');
+
+    it("is not added unless enabled", () => {
+        assert.equal(headerButton(), null);
+        assert.equal(plugin.runSelectorHealthCheck().length, 0, "the toolbar is not required while it is off");
+    });
+
+    it("sits next to Discord's member list icon and borrows its look", () => {
+        plugin.updateSetting("headerButtonEnabled", true);
+
+        assert.equal(nativeToggle().nextElementSibling, headerButton());
+        assert.ok(headerButton().classList.contains("iconWrapper_u3"));
+        assert.equal(headerButton().classList.contains("selected_w5"), false);
+        assert.equal(headerButton().getAttribute("aria-pressed"), "false");
+        assert.equal(plugin.headerTooltip.labelElement.textContent, "Move Member List");
+    });
+
+    it("finds Discord's member list icon in other languages by its place before the search bar", () => {
+        nativeToggle().setAttribute("aria-label", "Mitgliederliste ausblenden");
+        const toggle = env.document.querySelector('[class*="iconWrapper"]');
+        plugin.updateSetting("headerButtonEnabled", true);
+
+        assert.equal(toggle.nextElementSibling, headerButton());
+    });
+
+    it("toggles the layout and shows the moved state", async () => {
+        plugin.updateSetting("headerButtonEnabled", true);
+        headerButton().dispatchEvent(new env.window.MouseEvent("click", { bubbles: true }));
+        await settle(plugin);
+
+        assert.equal(plugin.isMoved, true);
+        assert.ok(env.document.documentElement.classList.contains("bd-mlm-moved"));
+        assert.equal(headerButton().getAttribute("aria-pressed"), "true");
+        assert.equal(headerButton().getAttribute("aria-label"), "Reset Member List Layout");
+        assert.equal(plugin.headerTooltip.labelElement.textContent, "Reset Member List Layout");
+
+        headerButton().dispatchEvent(new env.window.KeyboardEvent("keydown", { key: "Enter", bubbles: true }));
+        await settle(plugin);
+        assert.equal(plugin.isMoved, false);
+    });
+
+    it("keeps its icon when the state has not changed", async () => {
+        plugin.updateSetting("headerButtonEnabled", true);
+        const icon = headerButton().querySelector("svg");
+
+        plugin.queueLayoutReapply();
+        await settle(plugin);
+        assert.equal(headerButton().querySelector("svg"), icon);
+    });
+
+    it("stays usable while the member list is hidden", async () => {
+        plugin.updateSetting("headerButtonEnabled", true);
+        env.document.querySelector('[class*="membersWrap"]').remove();
+        await settle(plugin, plugin.ABSENCE_CHECK_DELAY_MS);
+
+        headerButton().click();
+        await settle(plugin);
+        assert.equal(plugin.isMoved, true);
+        assert.equal(headerButton().getAttribute("aria-pressed"), "true");
+    });
+
+    it("is put back when the header is re-rendered", async () => {
+        plugin.updateSetting("headerButtonEnabled", true);
+        const header = env.document.querySelector('[class*="title_"]');
+        const rerendered = header.cloneNode(true);
+        rerendered.querySelector("#bd-mlm-header-button").remove();
+        header.replaceWith(rerendered);
+        await settle(plugin);
+
+        assert.equal(headerButton()?.parentElement, rerendered.querySelector('[class*="toolbar"]'));
+    });
+
+    it("is re-injected by the failsafe", () => {
+        plugin.updateSetting("headerButtonEnabled", true);
+        plugin.observer.disconnect(); // Leave it to the failsafe
+        headerButton().remove();
+        plugin.checkAndReapplyLayout();
+
+        assert.equal(nativeToggle().nextElementSibling, headerButton());
+        assert.ok(plugin.diagnosticsLog.some((event) => event.data?.property === "header button placement"));
+    });
+
+    it("is removed when disabled and on stop", () => {
+        plugin.updateSetting("headerButtonEnabled", true);
+        plugin.updateSetting("headerButtonEnabled", false);
+        assert.equal(headerButton(), null);
+
+        plugin.updateSetting("headerButtonEnabled", true);
+        plugin.stop();
+        assert.equal(headerButton(), null);
+    });
+});
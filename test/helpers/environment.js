@@ -0,0 +1,260 @@
+/**
+ * Test environment for the plugin: a jsdom copy of Discord's app layout, the browser globals the
+ * plugin reads, and an in-memory BdApi stub.
+ *
+ * jsdom has no layout engine, so element boxes are stubbed. The left column runs from y = 60 to the
+ * user section at y = 860, giving 800px to split. Boxes follow the layout classes and custom
+ * properties the plugin sets on the root element, the way the injected stylesheet would move them.
+ * Popout windows get the same layout and are reported through a stub of Discord's PopoutWindowStore.
+ * The observer benchmark (bench/observer-storm.js) runs on the same environment.
+ */
+const path = require("path");
+const { JSDOM } = require("jsdom");
+
+const PLUGIN_PATH = path.join(__dirname, "../../MemberListMover.plugin.js");
+
+const COLUMN_TOP = 60;
+const COLUMN_LEFT = 72;
+const COLUMN_WIDTH = 240;
+const USER_SECTION_TOP = 860;
+const USER_SECTION_HEIGHT = 52;
+
+const FIXTURE = `<body>
+<div class="app_a1"><div class="base_d4"><div class="content_e5">
+    <div class="sidebar_f6">
+        <div class="sidebarList_g7"><nav class="guildChannels_h8"></nav></div>
+        <section class="panels_i9"></section>
+    </div>
+    <div class="page_j0"><div class="chat_k1">
+        <section class="title_s1"><div class="toolbar_t2">
+            <div class="iconWrapper_u3 clickable_v4 selected_w5" role="button" aria-label="Hide Member List"></div>
+            <div class="search_x6"></div>
+        </div></section>
+        <div class="content_l2">
+            <main class="chatContent_m3"><ol class="scrollerInner_n4"></ol><div class="typing_o5"></div></main>
+            <div class="membersWrap_p6"><div class="members_q7"><div class="content_r8"></div></div></div>
+        </div>
+    </div></div>
+</div></div></div>
+</body>`;
+
+const GLOBALS = [
+    "window",
+    "document",
+    "navigator",
+    "MutationObserver",
+    "HTMLElement",
+    "Element",
+    "Node",
+    "getComputedStyle"
+];
+
+/**
+ * Creates a jsdom window with the fixture layout. jsdom has no layout engine, so its element boxes
+ * are stubbed; they follow the layout classes and custom properties on the window's own root element.
+ * @param {string} url - Discord route the window starts on
+ * @returns {Object} jsdom window
+ */
+function createWindow(url) {
+    const dom = new JSDOM(FIXTURE, { url, pretendToBeVisual: true });
+    const window = dom.window;
+    const root = window.document.documentElement;
+
+    const variable = (name) => parseFloat(root.style.getPropertyValue(name)) || 0;
+    const isStacked = () => root.classList.contains("bd-mlm-stacked");
+    const box = (left, top, width, height) => ({ left, top, width, height, right: left + width, bottom: top + height });
+
+    window.HTMLElement.prototype.getBoundingClientRect = function () {
+        const className = String(this.className);
+        if (/sidebarList/.test(className)) {
+            const top = COLUMN_TOP + (isStacked() ? variable("--bd-mlm-sidebar-margin-top") : 0);
+            const height = isStacked() ? variable("--bd-mlm-sidebar-height") : USER_SECTION_TOP - COLUMN_TOP;
+            return box(COLUMN_LEFT, top, COLUMN_WIDTH, height);
+        }
+        if (/sidebar_/.test(className)) {
+            return box(COLUMN_LEFT, COLUMN_TOP, COLUMN_WIDTH, USER_SECTION_TOP + USER_SECTION_HEIGHT - COLUMN_TOP);
+        }
+        if (/panels/.test(className)) {
+            return box(COLUMN_LEFT, USER_SECTION_TOP, COLUMN_WIDTH, USER_SECTION_HEIGHT);
+        }
+        if (/membersWrap/.test(className) && root.classList.contains("bd-mlm-moved")) {
+            return box(
+                variable("--bd-mlm-members-left"),
+                variable("--bd-mlm-members-top"),
+                variable("--bd-mlm-members-width"),
+                variable("--bd-mlm-members-height")
+            );
+        }
+        return box(0, 0, 0, 0);
+    };
+    // jsdom can't resolve var(); report the margin-top the stylesheet would give the channel list
+    const getComputedStyle = window.getComputedStyle.bind(window);
+    window.getComputedStyle = (element) => {
+        if (/sidebarList/.test(String(element.className)) && isStacked()) {
+            return { marginTop: `${variable("--bd-mlm-sidebar-margin-top")}px` };
+        }
+        return getComputedStyle(element);
+    };
+
+    return window;
+}
+
+/**
+ * Creates a fresh environment and installs its globals.
+ * @param {Object} [options]
+ * @param {string} [options.url] - Discord route the window starts on
+ * @param {Object} [options.data] - Initial BdApi data, keyed by data key
+ * @returns {{window: Object, document: Document, data: Object, toasts: Array, warnings: string[], errors: string[], createPlugin: Function, openPopout: Function, closePopout: Function, cleanup: Function}}
+ */
+function createEnvironment({ url = "https://discord.com/channels/1/2", data = {} } = {}) {
+    const window = createWindow(url);
+
+    for (const key of GLOBALS) {
+        global[key] = window[key];
+    }
+    global.requestAnimationFrame = window.requestAnimationFrame.bind(window);
+    global.cancelAnimationFrame = window.cancelAnimationFrame.bind(window);
+
+    // Discord's PopoutWindowStore: open secondary windows by key, with Flux change listeners
+    const popouts = new Map();
+    const popoutListeners = new Set();
+    const popoutWindowStore = {
+        getWindowKeys: () => [...popouts.keys()],
+        getWindow: (key) => popouts.get(key),
+        addChangeListener: (listener) => popoutListeners.add(listener),
+        removeChangeListener: (listener) => popoutListeners.delete(listener)
+    };
+
+    /**
+     * Opens a secondary window with the same layout and notifies the store's listeners.
+     * @param {string} key
+     * @returns {Object} jsdom window
+     */
+    const openPopout = (key) => {
+        const popout = createWindow(url);
+        popouts.set(key, popout);
+        popoutListeners.forEach((listener) => listener());
+        return popout;
+    };
+
+    /**
+     * Closes a secondary window and notifies the store's listeners.
+     * @param {string} key
+     */
+    const closePopout = (key) => {
+        const popout = popouts.get(key);
+        popouts.delete(key);
+        popoutListeners.forEach((listener) => listener());
+        popout.close();
+    };
+
+    // BdApi persists through JSON; round-trip values so tests see what would really be stored
+    const clone = (value) => (typeof value === "undefined" ? undefined : JSON.parse(JSON.stringify(value)));
+    const store = clone(data);
+    const toasts = [];
+    const warnings = [];
+    const errors = [];
+    global.BdApi = {
+        loadData: (pluginId, key) => clone(store[key]),
+        saveData: (pluginId, key, value) => {
+            store[key] = clone(value);
+        },
+        deleteData: (pluginId, key) => {
+            delete store[key];
+        },
+        DOM: {
+            addStyle: (id, css) => {
+                window.document.getElementById(id)?.remove();
+                const style = window.document.createElement("style");
+                style.id = id;
+                style.textContent = css;
+                window.document.head.append(style);
+            },
+            removeStyle: (id) => window.document.getElementById(id)?.remove()
+        },
+        UI: {
+            showToast: (message, options) => toasts.push({ message, options }),
+            showNotice: () => () => {},
+            createTooltip: (node, label) => ({ node, labelElement: { textContent: label }, hide: () => {} }),
+            buildSettingsPanel: (panel) => panel
+        },
+        ContextMenu: { buildMenu: (items) => items, open: () => {} },
+        Webpack: {
+            getModule: () => null,
+            getStore: (name) => (name === "PopoutWindowStore" ? popoutWindowStore : null),
+            Filters: { byKeys: () => () => false }
+        }
+    };
+
+    const plugins = [];
+
+    /**
+     * Loads the plugin file fresh and creates an instance whose warnings and errors are captured.
+     * @returns {Object} Plugin instance
+     */
+    const createPlugin = () => {
+        delete require.cache[PLUGIN_PATH];
+        const MoveMembersWrap = require(PLUGIN_PATH);
+        const plugin = new MoveMembersWrap();
+        const record = plugin._record.bind(plugin);
+        plugin._record = (level, category, message, data) => {
+            if (level === "warn") warnings.push(message);
+            if (level === "error") errors.push(message);
+            record(level, category, message, data);
+        };
+        plugins.push(plugin);
+        return plugin;
+    };
+
+    const cleanup = () => {
+        for (const plugin of plugins) {
+            if (plugin.observer) plugin.stop();
+        }
+        popouts.forEach((popout) => popout.close());
+        window.close();
+    };
+
+    return {
+        window,
+        document: window.document,
+        data: store,
+        toasts,
+        warnings,
+        errors,
+        createPlugin,
+        openPopout,
+        closePopout,
+        cleanup
+    };
+}
+
+/**
+ * Waits until the plugin's throttled reapplies and animation frames have run.
+ * @param {Object} plugin
+ * @param {number} [extraMs=0] - Additional time, e.g. for the member list absence delay
+ */
+function settle(plugin, extraMs = 0) {
+    return new Promise((resolve) => setTimeout(resolve, plugin.reapplyThrottleDelay * 2 + 50 + extraMs));
+}
+
+/**
+ * Builds a pointer event. jsdom has no PointerEvent, so a MouseEvent carries the pointer fields.
+ * @param {Object} window
+ * @param {string} type
+ * @param {Object} init - MouseEvent init plus pointerId and pointerType
+ * @returns {MouseEvent}
+ */
+function pointerEvent(window, type, { pointerId = 1, pointerType = "mouse", ...init } = {}) {
+    const event = new window.MouseEvent(type, { bubbles: true, cancelable: true, button: 0, ...init });
+    Object.defineProperty(event, "pointerId", { value: pointerId });
+    Object.defineProperty(event, "pointerType", { value: pointerType });
+    return event;
+}
+
+module.exports = {
+    createEnvironment,
+    settle,
+    pointerEvent,
+    COLUMN_TOP,
+    USER_SECTION_TOP
+};
@@ -0,0 +1,85 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { createEnvironment, settle } = require("./helpers/environment");
+
+describe("hotkeys", () => {
+    let env;
+    let plugin;
+
+    beforeEach(async () => {
+        env = createEnvironment();
+        plugin = env.createPlugin();
+        plugin.start();
+        plugin.toggleMovedState();
+        await settle(plugin);
+        plugin.setSplit(0.3);
+    });
+    afterEach(() => env.cleanup());
+
+    const press = (init, target = env.document.body) => {
+        const event = new env.window.KeyboardEvent("keydown", { bubbles: true, cancelable: true, ...init });
+        target.dispatchEvent(event);
+        return event;
+    };
+
+    it("handles a bound combination", () => {
+        const event = press({ key: "0", code: "Digit0", ctrlKey: true, altKey: true });
+
+        assert.equal(plugin.sidebarHeightPercentage, plugin.DEFAULT_SIDEBAR_PERCENTAGE);
+        assert.equal(event.defaultPrevented, true);
+    });
+
+    it("toggles the layout", async () => {
+        press({ key: "m", code: "KeyM", ctrlKey: true, altKey: true });
+        await settle(plugin);
+
+        assert.equal(plugin.isMoved, false);
+    });
+
+    it("nudges the split by one step", () => {
+        press({ key: "ArrowDown", code: "ArrowDown", ctrlKey: true, altKey: true });
+
+        assert.equal(plugin.sidebarHeightPercentage, 0.3 + plugin.NUDGE_STEP_PERCENTAGE);
+    });
+
+    it("leaves the split alone in the original layout", () => {
+        plugin.toggleMovedState();
+        const event = press({ key: "0", code: "Digit0", ctrlKey: true, altKey: true });
+
+        assert.equal(plugin.sidebarHeightPercentage, 0.3);
+        assert.equal(event.defaultPrevented, false);
+    });
+
+    it("leaves characters typed with AltGr alone", () => {
+        const altGr = { ctrlKey: true, altKey: true, modifierAltGraph: true };
+        const event = press({ key: "}", code: "Digit0", ...altGr });
+
+        assert.equal(plugin.sidebarHeightPercentage, 0.3);
+        assert.equal(event.defaultPrevented, false);
+        press({ key: "µ", code: "KeyM", ...altGr });
+        assert.equal(plugin.isMoved, true);
+    });
+
+    it("matches digits that the layout types as symbols", () => {
+        const event = press({ key: "&", code: "Digit1", ctrlKey: true, altKey: true });
+
+        assert.equal(plugin.sidebarHeightPercentage, plugin.PRESET_SIDEBAR_PERCENTAGES[0]);
+        assert.equal(event.defaultPrevented, true);
+    });
+
+    it("leaves letter keys that type another character alone", () => {
+        press({ key: ",", code: "KeyM", ctrlKey: true, altKey: true });
+
+        assert.equal(plugin.isMoved, true);
+    });
+
+    it("ignores keys pressed in a text field", () => {
+        const textbox = env.document.createElement("textarea");
+        env.document.body.append(textbox);
+        textbox.focus();
+
+        const event = press({ key: "0", code: "Digit0", ctrlKey: true, altKey: true }, textbox);
+        assert.equal(plugin.sidebarHeightPercentage, 0.3);
+        assert.equal(event.defaultPrevented, false);
+    });
+});
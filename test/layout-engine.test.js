@@ -0,0 +1,206 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { LayoutEngine } = require("../MemberListMover.plugin.js");
+
+// Channel list at x 72-312 from y 60, user section from y 860 to 912
+const MEASUREMENTS = {
+    left: 72,
+    width: 240,
+    top: 60,
+    columnLeft: 72,
+    columnRight: 312,
+    userSectionTop: 860,
+    userSectionBottom: 912
+};
+
+const SETTINGS = {
+    isMoved: true,
+    placementMode: "stacked",
+    stackOrder: "below",
+    besideSide: "right",
+    split: { sidebar: 0.25, members: 0.75 },
+    collapsedPane: null,
+    membersWidthPx: 200,
+    uiHeightPx: 24,
+    buttonWrapperHeightPx: 8,
+    transition: "none"
+};
+
+describe("LayoutEngine.clampSplit", () => {
+    it("keeps a valid split", () => {
+        assert.deepEqual(LayoutEngine.clampSplit(0.3, 0.05), { sidebar: 0.3, members: 0.7 });
+    });
+
+    it("clamps both ends to the minimum share", () => {
+        assert.deepEqual(LayoutEngine.clampSplit(0, 0.05), { sidebar: 0.05, members: 0.95 });
+        assert.deepEqual(LayoutEngine.clampSplit(1.5, 0.1), { sidebar: 0.9, members: 0.1 });
+    });
+
+    it("rounds to three decimals", () => {
+        assert.deepEqual(LayoutEngine.clampSplit(1 / 3, 0.05), { sidebar: 0.333, members: 0.667 });
+    });
+});
+
+describe("LayoutEngine.getPanelHeights", () => {
+    it("splits the column by the shares", () => {
+        assert.deepEqual(LayoutEngine.getPanelHeights(800, SETTINGS.split, null, 24), {
+            sidebarHeight: 200,
+            membersHeight: 600
+        });
+    });
+
+    it("shrinks a collapsed channel list to its header strip", () => {
+        assert.deepEqual(LayoutEngine.getPanelHeights(800, SETTINGS.split, "sidebar", 24), {
+            sidebarHeight: LayoutEngine.COLLAPSED_STRIP_PX,
+            membersHeight: 800 - LayoutEngine.COLLAPSED_STRIP_PX
+        });
+    });
+
+    it("shrinks a collapsed member list to its header strip below our handle strip", () => {
+        assert.deepEqual(LayoutEngine.getPanelHeights(800, SETTINGS.split, "members", 24), {
+            sidebarHeight: 776 - LayoutEngine.COLLAPSED_STRIP_PX,
+            membersHeight: 24 + LayoutEngine.COLLAPSED_STRIP_PX
+        });
+    });
+
+    it("never gives a collapsed list more than the column", () => {
+        assert.deepEqual(LayoutEngine.getPanelHeights(30, SETTINGS.split, "sidebar", 24), {
+            sidebarHeight: 30,
+            membersHeight: 0
+        });
+        assert.deepEqual(LayoutEngine.getPanelHeights(50, SETTINGS.split, "members", 24), {
+            sidebarHeight: 0,
+            membersHeight: 50
+        });
+    });
+});
+
+describe("LayoutEngine pixel sizing", () => {
+    const PIXEL_SIZING = { pane: "sidebar", heightPx: 300, minPx: 200, maxPx: 400, minShare: 0.05 };
+
+    it("keeps the pinned list's height when the column gets shorter", () => {
+        for (const availableHeight of [800, 600]) {
+            const heights = LayoutEngine.getPanelHeights(availableHeight, SETTINGS.split, null, 24, PIXEL_SIZING);
+            assert.deepEqual(heights, { sidebarHeight: 300, membersHeight: availableHeight - 300 });
+        }
+    });
+
+    it("derives the height from the split until one is set, within the pixel range", () => {
+        const sizing = { ...PIXEL_SIZING, pane: "members", heightPx: null };
+        assert.deepEqual(LayoutEngine.getPanelHeights(800, SETTINGS.split, null, 24, sizing), {
+            sidebarHeight: 400,
+            membersHeight: 400
+        });
+    });
+
+    it("clamps to the pixel range and leaves the other list its minimum share", () => {
+        assert.equal(LayoutEngine.clampPixelHeight(100, 800, PIXEL_SIZING), 200);
+        assert.equal(LayoutEngine.clampPixelHeight(900, 800, PIXEL_SIZING), 400);
+        assert.equal(LayoutEngine.clampPixelHeight(300, 250, PIXEL_SIZING), 237.5);
+    });
+
+    it("plans the failsafe's expectations from the pixel heights", () => {
+        const plan = LayoutEngine.planLayout(MEASUREMENTS, { ...SETTINGS, pixelSizing: PIXEL_SIZING });
+        assert.equal(plan.variables["--bd-mlm-sidebar-height"], "300px");
+        assert.equal(plan.variables["--bd-mlm-members-height"], "500px");
+    });
+});
+
+describe("LayoutEngine.planLayout", () => {
+    it("plans no classes or variables for the original layout", () => {
+        const plan = LayoutEngine.planLayout(MEASUREMENTS, { ...SETTINGS, isMoved: false });
+        assert.deepEqual(plan, { mode: "original", classes: [], variables: {}, geometry: null });
+    });
+
+    it("stacks the member list below the channel list", () => {
+        const plan = LayoutEngine.planLayout(MEASUREMENTS, SETTINGS);
+
+        assert.equal(plan.mode, "stacked");
+        assert.deepEqual(plan.classes, ["bd-mlm-moved", "bd-mlm-stacked"]);
+        assert.deepEqual(plan.variables, {
+            "--bd-mlm-members-left": "72px",
+            "--bd-mlm-members-top": "260px",
+            "--bd-mlm-members-width": "240px",
+            "--bd-mlm-members-height": "600px",
+            "--bd-mlm-content-height": "576px",
+            "--bd-mlm-sidebar-height": "200px",
+            "--bd-mlm-sidebar-margin-top": "0px",
+            "--bd-mlm-transition": "none"
+        });
+    });
+
+    it("stacks the member list above the channel list", () => {
+        const plan = LayoutEngine.planLayout(MEASUREMENTS, { ...SETTINGS, stackOrder: "above" });
+
+        assert.deepEqual(plan.classes, ["bd-mlm-moved", "bd-mlm-stacked", "bd-mlm-members-above"]);
+        assert.equal(plan.variables["--bd-mlm-members-top"], "60px");
+        assert.equal(plan.variables["--bd-mlm-sidebar-margin-top"], "600px");
+    });
+
+    it("docks the member list beside the sidebar on either side", () => {
+        const right = LayoutEngine.planLayout(MEASUREMENTS, { ...SETTINGS, placementMode: "beside" });
+        assert.deepEqual(right.classes, ["bd-mlm-moved", "bd-mlm-beside", "bd-mlm-beside-right"]);
+        assert.deepEqual(right.geometry, { left: 312, top: 60, width: 200, height: 852 });
+        assert.equal(right.variables["--bd-mlm-content-height"], "844px");
+
+        const left = LayoutEngine.planLayout(MEASUREMENTS, {
+            ...SETTINGS,
+            placementMode: "beside",
+            besideSide: "left"
+        });
+        assert.equal(left.geometry.left, 72);
+        assert.ok(left.classes.includes("bd-mlm-beside-left"));
+    });
+
+    it("returns null when there is no room", () => {
+        const squashed = { ...MEASUREMENTS, userSectionTop: 60, userSectionBottom: 60 };
+        assert.equal(LayoutEngine.planLayout(squashed, SETTINGS), null);
+        assert.equal(LayoutEngine.planLayout(squashed, { ...SETTINGS, placementMode: "beside" }), null);
+    });
+});
+
+describe("LayoutEngine.getSplitFromPointer", () => {
+    const geometry = { columnTop: 60, availableHeight: 800 };
+
+    it("measures the channel list from the column top when the members are below", () => {
+        assert.equal(LayoutEngine.getSplitFromPointer(geometry, 260, "below"), 0.25);
+    });
+
+    it("measures the channel list up from the user section when the members are above", () => {
+        assert.equal(LayoutEngine.getSplitFromPointer(geometry, 260, "above"), 0.75);
+    });
+});
+
+describe("LayoutEngine.diffPlan", () => {
+    const plan = LayoutEngine.planLayout(MEASUREMENTS, { ...SETTINGS, transition: "height 200ms ease" });
+    const knownClasses = ["bd-mlm-moved", "bd-mlm-stacked", "bd-mlm-members-above"];
+    const liveFrom = (plan) => ({ classes: plan.classes.slice(), variables: { ...plan.variables } });
+
+    it("finds nothing when the live state matches", () => {
+        assert.deepEqual(LayoutEngine.diffPlan(plan, liveFrom(plan), knownClasses, 0.1), []);
+    });
+
+    it("reports missing and unexpected classes", () => {
+        const live = liveFrom(plan);
+        live.classes = ["bd-mlm-moved", "bd-mlm-members-above"];
+
+        assert.deepEqual(LayoutEngine.diffPlan(plan, live, knownClasses, 0.1), [
+            { property: "bd-mlm-stacked", message: "Root class 'bd-mlm-stacked' expected present" },
+            { property: "bd-mlm-members-above", message: "Root class 'bd-mlm-members-above' expected absent" }
+        ]);
+    });
+
+    it("compares pixel variables within the tolerance", () => {
+        const live = liveFrom(plan);
+        live.variables["--bd-mlm-sidebar-height"] = "200.05px";
+        live.variables["--bd-mlm-members-height"] = "";
+        live.variables["--bd-mlm-transition"] = "none"; // Not compared
+
+        assert.deepEqual(LayoutEngine.diffPlan(plan, live, knownClasses, 0.1), [
+            {
+                property: "--bd-mlm-members-height",
+                message: "--bd-mlm-members-height expected '600.000px', got ''"
+            }
+        ]);
+    });
+});
@@ -0,0 +1,94 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { createEnvironment, settle } = require("./helpers/environment");
+
+describe("start and stop", () => {
+    let env;
+    let plugin;
+
+    beforeEach(() => {
+        env = createEnvironment();
+        plugin = env.createPlugin();
+    });
+    afterEach(() => env.cleanup());
+
+    /** Everything the plugin may leave behind in the document **/
+    const snapshotDocument = () => ({
+        ownElements: env.document.querySelectorAll('[id^="bd-move"], #bd-resize-handle, #bd-width-handle').length,
+        stylesheet: !!env.document.getElementById(plugin.layoutStyleId),
+        rootClasses: [...env.document.documentElement.classList].filter((name) => name.startsWith("bd-mlm-")),
+        rootStyle: env.document.documentElement.getAttribute("style")
+    });
+
+    it("inserts the move button into the member list on start", async () => {
+        plugin.start();
+        await settle(plugin);
+
+        const membersList = env.document.querySelector("#bd-members-list-container");
+        assert.ok(membersList, "the member list content gets its ID");
+        assert.ok(membersList.querySelector("#bd-move-members-button"));
+        assert.deepEqual(env.errors, []);
+    });
+
+    it("leaves the document as it found it after stop, in the original layout", async () => {
+        const before = snapshotDocument();
+        plugin.start();
+        await settle(plugin);
+        plugin.stop();
+
+        assert.deepEqual(snapshotDocument(), before);
+    });
+
+    it("leaves the document as it found it after stop, in the moved layout", async () => {
+        const before = snapshotDocument();
+        plugin.start();
+        plugin.toggleMovedState();
+        await settle(plugin);
+        assert.ok(env.document.documentElement.classList.contains("bd-mlm-moved"));
+        plugin.stop();
+
+        assert.deepEqual(snapshotDocument(), before);
+    });
+
+    it("removes every listener, observer and timer it started", async () => {
+        const added = new Map();
+        const track = (target) => {
+            const { addEventListener, removeEventListener } = target;
+            target.addEventListener = function (type, listener, options) {
+                added.set(`${type}:${!!options}`, (added.get(`${type}:${!!options}`) || 0) + 1);
+                return addEventListener.call(this, type, listener, options);
+            };
+            target.removeEventListener = function (type, listener, options) {
+                added.set(`${type}:${!!options}`, (added.get(`${type}:${!!options}`) || 0) - 1);
+                return removeEventListener.call(this, type, listener, options);
+            };
+        };
+        track(env.window);
+
+        plugin.start();
+        plugin.toggleMovedState();
+        await settle(plugin);
+        plugin.stop();
+
+        for (const [listener, count] of added) {
+            assert.ok(count <= 0, `window listener ${listener} left attached`);
+        }
+        assert.equal(plugin.observer, null);
+        assert.equal(plugin.failsafeIntervalId, null);
+        assert.equal(plugin.reapplyTimeout, null);
+        assert.equal(plugin.memberListAbsenceTimer, null);
+    });
+
+    it("can be started again after stop", async () => {
+        plugin.start();
+        plugin.toggleMovedState();
+        await settle(plugin);
+        plugin.stop();
+
+        plugin.start();
+        await settle(plugin);
+        assert.ok(env.document.documentElement.classList.contains("bd-mlm-moved"), "the saved moved state is restored");
+        assert.equal(env.document.querySelectorAll("#bd-resize-handle").length, 1);
+        assert.equal(env.document.querySelectorAll("#bd-move-members-button").length, 1);
+    });
+});
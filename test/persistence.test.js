@@ -0,0 +1,121 @@
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { createEnvironment, settle } = require("./helpers/environment");
+
+describe("persistence", () => {
+    let env;
+
+    afterEach(() => env.cleanup());
+
+    it("remembers the moved state across restarts", async () => {
+        env = createEnvironment();
+        const plugin = env.createPlugin();
+        plugin.start();
+        plugin.toggleMovedState();
+        await settle(plugin);
+        plugin.stop();
+
+        assert.equal(env.data.config.profiles["1"].isMoved, true, "saved to the server's profile");
+
+        const restarted = env.createPlugin();
+        restarted.start();
+        await settle(restarted);
+        assert.equal(restarted.isMoved, true);
+        assert.ok(env.document.querySelector('[class*="membersWrap"] > #bd-resize-handle'));
+    });
+
+    it("remembers toggling back to the original layout", async () => {
+        env = createEnvironment();
+        const plugin = env.createPlugin();
+        plugin.start();
+        plugin.toggleMovedState();
+        plugin.toggleMovedState();
+        await settle(plugin);
+
+        assert.equal(env.data.config.profiles["1"].isMoved, false);
+        assert.equal(env.document.querySelector("#bd-resize-handle"), null);
+    });
+
+    it("keeps a separate layout per server", async () => {
+        env = createEnvironment({ url: "https://discord.com/channels/1/2" });
+        const plugin = env.createPlugin();
+        plugin.start();
+        plugin.toggleMovedState();
+        await settle(plugin);
+
+        env.window.history.pushState({}, "", "/channels/3/4");
+        plugin.applyCurrentLayoutState();
+        assert.equal(plugin.isMoved, false, "a new server starts from the global layout");
+
+        env.window.history.pushState({}, "", "/channels/1/5");
+        plugin.applyCurrentLayoutState();
+        assert.equal(plugin.isMoved, true, "another channel of the first server uses its profile");
+    });
+
+    it("uses the global layout in direct messages", async () => {
+        env = createEnvironment({ url: "https://discord.com/channels/@me/2" });
+        const plugin = env.createPlugin();
+        plugin.start();
+        plugin.toggleMovedState();
+        await settle(plugin);
+
+        assert.equal(env.data.config.layout.isMoved, true);
+        assert.deepEqual(Object.keys(env.data.config.profiles), [], "no server profile for @me");
+    });
+
+    it("saves the split re-clamped to a new minimum", async () => {
+        env = createEnvironment();
+        const plugin = env.createPlugin();
+        plugin.start();
+        plugin.toggleMovedState();
+        plugin.setSplit(0.1);
+        plugin.updateSetting("MIN_HEIGHT_PERCENTAGE", 0.2);
+        await settle(plugin);
+
+        assert.equal(env.data.config.profiles["1"].sidebar, 0.2);
+        assert.equal(env.data.config.profiles["1"].members, 0.8);
+    });
+
+    it("migrates heights that older builds saved over the moved state", async () => {
+        env = createEnvironment({ data: { isMovedState: { sidebar: 0.3, members: 0.7 } } });
+        const plugin = env.createPlugin();
+        plugin.start();
+        await settle(plugin);
+
+        assert.equal(plugin.isMoved, true);
+        assert.equal(plugin.sidebarHeightPercentage, 0.3);
+        assert.equal(env.data.isMovedState, undefined, "the legacy key is deleted");
+        assert.equal(env.data.config.version, plugin.CONFIG_VERSION);
+    });
+
+    it("falls back to defaults for invalid saved values", () => {
+        env = createEnvironment({
+            data: { config: { version: 2, settings: { MIN_HEIGHT_PERCENTAGE: "lots", stackOrder: "sideways" } } }
+        });
+        const plugin = env.createPlugin();
+        plugin.start();
+
+        assert.equal(plugin.MIN_HEIGHT_PERCENTAGE, 0.05);
+        assert.equal(plugin.stackOrder, "below");
+    });
+
+    it("leaves a config saved by a newer build untouched", async () => {
+        const newerConfig = {
+            version: 99,
+            settings: { stackOrder: "above" },
+            layout: { isMoved: true, sidebar: 0.4, members: 0.6 },
+            futureFeature: { enabled: true }
+        };
+        env = createEnvironment({ data: { config: structuredClone(newerConfig) } });
+        const plugin = env.createPlugin();
+        plugin.start();
+        await settle(plugin);
+
+        assert.equal(plugin.stackOrder, "above", "readable values are still used");
+        plugin.toggleMovedState();
+        plugin.updateSetting("stackOrder", "below");
+        await settle(plugin);
+
+        assert.deepEqual(env.data.config, newerConfig);
+    });
+});
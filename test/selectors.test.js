@@ -0,0 +1,35 @@
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { createEnvironment } = require("./helpers/environment");
+
+describe("selector health check", () => {
+    let env;
+
+    afterEach(() => env.cleanup());
+
+    const startWithoutMemberList = (url) => {
+        env = createEnvironment({ url });
+        env.document.querySelector('[class*="membersWrap"]').remove();
+        env.createPlugin().start();
+    };
+    const warningToasts = () => env.toasts.filter((toast) => toast.options.type === "warning");
+
+    it("names a missing member list in a server", () => {
+        startWithoutMemberList("https://discord.com/channels/1/2");
+
+        assert.equal(warningToasts().length, 1);
+        assert.match(warningToasts()[0].message, /Member list/);
+    });
+
+    it("does not expect a member list on the Friends page", () => {
+        startWithoutMemberList("https://discord.com/channels/@me");
+
+        assert.equal(warningToasts().length, 0);
+    });
+
+    it("does not expect a member list in a DM", () => {
+        startWithoutMemberList("https://discord.com/channels/@me/3");
+
+        assert.equal(warningToasts().length, 0);
+    });
+});
@@ -0,0 +1,77 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { createEnvironment, settle } = require("./helpers/environment");
+
+describe("secondary windows", () => {
+    let env;
+    let plugin;
+
+    beforeEach(async () => {
+        env = createEnvironment();
+        plugin = env.createPlugin();
+        plugin.start();
+        await settle(plugin);
+    });
+    afterEach(() => env.cleanup());
+
+    const isMoved = (window) => window.document.documentElement.classList.contains("bd-mlm-moved");
+
+    it("lays out a popout window with an instance of its own", async () => {
+        const popout = env.openPopout("DISCORD_POPOUT");
+        const instance = plugin.windowInstances.get(popout);
+        assert.ok(instance, "an instance was started for the popout");
+        assert.equal(instance.document, popout.document);
+
+        instance.toggleMovedState();
+        await settle(instance);
+
+        assert.equal(isMoved(popout), true);
+        assert.ok(popout.document.getElementById(plugin.layoutStyleId), "the stylesheet is injected into the popout");
+        assert.ok(popout.document.querySelector('[class*="membersWrap"] > #bd-resize-handle'));
+        assert.equal(isMoved(env.window), false, "the main window is left alone");
+    });
+
+    it("handles hotkeys in the window they were pressed in", async () => {
+        const popout = env.openPopout("DISCORD_POPOUT");
+        popout.dispatchEvent(
+            new popout.KeyboardEvent("keydown", { key: "M", ctrlKey: true, altKey: true, bubbles: true })
+        );
+        await settle(plugin);
+
+        assert.equal(isMoved(popout), true);
+        assert.equal(isMoved(env.window), false);
+    });
+
+    it("applies setting changes in every window", () => {
+        const popout = env.openPopout("DISCORD_POPOUT");
+        plugin.updateSetting("stackOrder", "above");
+
+        assert.equal(plugin.windowInstances.get(popout).stackOrder, "above");
+    });
+
+    it("stops the instance of a closed popout", () => {
+        const popout = env.openPopout("DISCORD_POPOUT");
+        const instance = plugin.windowInstances.get(popout);
+        env.closePopout("DISCORD_POPOUT");
+
+        assert.equal(plugin.windowInstances.size, 0);
+        assert.equal(instance.observer, null);
+    });
+
+    it("tears every window down on stop", async () => {
+        const popout = env.openPopout("DISCORD_POPOUT");
+        const instance = plugin.windowInstances.get(popout);
+        instance.toggleMovedState();
+        await settle(instance);
+
+        plugin.stop();
+
+        assert.equal(instance.observer, null);
+        assert.equal(isMoved(popout), false);
+        assert.equal(popout.document.getElementById(plugin.layoutStyleId), null);
+        assert.equal(popout.document.querySelector("#bd-move-button-wrapper"), null);
+
+        env.openPopout("ANOTHER_POPOUT");
+        assert.equal(plugin.windowInstances.size, 0, "no longer listening for new windows");
+    });
+});